@@ -471,8 +471,8 @@ BaseNode.prototype = {
   syncSinceQuery: function syncSinceQuery (lastSynced) {
     var node = this
     var promises = []
-    return this.log.each({ order: 'added' }, function (action, meta) {
-      if (meta.added <= lastSynced) return false
+
+    function push (action, meta) {
       if (node.options.outFilter) {
         promises.push(node.options.outFilter(action, meta).then(function (r) {
           if (r) {
@@ -486,8 +486,24 @@ BaseNode.prototype = {
       } else {
         promises.push(Promise.resolve([action, meta]))
       }
-      return true
+    }
+
+    var store = this.log.store
+    var snapshot
+    var loading = store.getSnapshot ? store.getSnapshot() : Promise.resolve()
+    return loading.then(function (result) {
+      snapshot = result
+      return node.log.each({ order: 'added' }, function (action, meta) {
+        if (meta.added <= lastSynced) return false
+        if (!meta.expires || meta.expires > node.now()) push(action, meta)
+        return true
+      })
     }).then(function () {
+      if (snapshot && snapshot.added > lastSynced) {
+        push({ type: 'logux/snapshot', state: snapshot.state }, {
+          id: snapshot.id, time: snapshot.time, added: snapshot.added
+        })
+      }
       return Promise.all(promises)
     }).then(function (entries) {
       var data = { added: 0 }
@@ -0,0 +1,159 @@
+// Measure MemoryStore methods on 10K and 100K actions and compare them
+// with the previous linear MemoryStore as a baseline.
+// Actions are added with a small random time shift to emulate
+// actions from other nodes. Every method is called 1000 times
+// on the store with all actions.
+//
+//   node benchmark/memory-store.js
+
+var isFirstOlder = require('../is-first-older')
+var MemoryStore = require('../memory-store')
+
+var SIZES = [10000, 100000]
+var CALLS = 1000
+
+function random (seed) {
+  return function () {
+    seed = (seed * 16807) % 2147483647
+    return seed
+  }
+}
+
+function find (list, id) {
+  for (var i = list.length - 1; i >= 0; i--) {
+    if (id === list[i][1].id) return i
+  }
+  return -1
+}
+
+// Store with linear search from MemoryStore before binary search and ID index
+function LinearStore (created) {
+  this.created = created
+  this.added = created.slice(0).sort(function (a, b) {
+    return a[1].added - b[1].added
+  })
+  this.lastAdded = created.length
+}
+
+LinearStore.prototype = {
+
+  add: function add (action, meta) {
+    var entry = [action, meta]
+    var list = this.created
+    var index = 0
+    while (index < list.length) {
+      var other = list[index][1]
+      if (meta.id === other.id) return Promise.resolve(false)
+      if (!isFirstOlder(other, meta)) break
+      index += 1
+    }
+    list.splice(index, 0, entry)
+    this.lastAdded += 1
+    meta.added = this.lastAdded
+    this.added.push(entry)
+    return Promise.resolve(meta)
+  },
+
+  byId: function byId (id) {
+    var index = find(this.created, id)
+    if (index === -1) return Promise.resolve([null, null])
+    var entry = this.created[index]
+    return Promise.resolve([entry[0], entry[1]])
+  },
+
+  changeMeta: function changeMeta (id, diff) {
+    var index = find(this.created, id)
+    if (index === -1) return Promise.resolve(false)
+    var meta = this.created[index][1]
+    for (var key in diff) meta[key] = diff[key]
+    return Promise.resolve(true)
+  },
+
+  remove: function remove (id) {
+    var index = find(this.created, id)
+    if (index === -1) return Promise.resolve(false)
+    var entry = this.created[index]
+    this.created.splice(index, 1)
+
+    var m = 0
+    var n = this.added.length - 1
+    while (m <= n) {
+      var i = (n + m) >> 1
+      var added = this.added[i][1].added
+      if (added < entry[1].added) {
+        m = i + 1
+      } else if (added > entry[1].added) {
+        n = i - 1
+      } else {
+        this.added.splice(i, 1)
+        break
+      }
+    }
+    return Promise.resolve([entry[0], entry[1]])
+  }
+
+}
+
+function measure (callback) {
+  var start = process.hrtime()
+  for (var i = 0; i < CALLS; i++) callback(i)
+  var diff = process.hrtime(start)
+  return (diff[0] * 1e9 + diff[1]) / 1e3 / CALLS
+}
+
+function createIds (size) {
+  var next = random(size)
+  var ids = []
+  for (var i = 0; i < size; i++) {
+    ids.push((i + next() % 100) + ' bench ' + i)
+  }
+  return ids
+}
+
+function fill (ids) {
+  var store = new MemoryStore()
+  ids.forEach(function (id) {
+    store.add({ type: 'A' }, { id: id, time: parseInt(id), reasons: ['a'] })
+  })
+  return store
+}
+
+function bench (store, all) {
+  var size = all.length
+  var next = random(size + 1)
+  var step = Math.floor(size / CALLS)
+  var ids = []
+  for (var i = 0; i < CALLS; i++) ids.push(all[i * step])
+  var result = { }
+  result.add = measure(function (j) {
+    var time = next() % size
+    store.add({ type: 'A' }, { id: time + ' new ' + j, time: time })
+  })
+  result.byId = measure(function (j) {
+    store.byId(ids[j])
+  })
+  result.changeMeta = measure(function (j) {
+    store.changeMeta(ids[j], { status: 'processed' })
+  })
+  result.remove = measure(function (j) {
+    store.remove(ids[j])
+  })
+  return result
+}
+
+function run (size) {
+  var ids = createIds(size)
+  var current = bench(fill(ids), ids)
+  var baseline = bench(new LinearStore(fill(ids).created), ids)
+
+  process.stdout.write(size + ' actions\n')
+  for (var method in current) {
+    var line = '  ' + method + ': ' +
+      current[method].toFixed(2) + ' µs/op, baseline ' +
+      baseline[method].toFixed(2) + ' µs/op (' +
+      (baseline[method] / current[method]).toFixed(0) + 'x)'
+    process.stdout.write(line + '\n')
+  }
+}
+
+SIZES.forEach(run)
@@ -0,0 +1,176 @@
+var isFirstOlder = require('./is-first-older')
+var MemoryStore = require('./memory-store')
+
+function isOlder (first, second, order) {
+  if (order === 'created') {
+    return isFirstOlder(first[1], second[1])
+  } else {
+    return first[1].added <= second[1].added
+  }
+}
+
+function merge (first, second, order) {
+  var result = []
+  var i = 0
+  var j = 0
+  while (i < first.length && j < second.length) {
+    if (isOlder(first[i], second[j], order)) {
+      result.push(first[i])
+      i += 1
+    } else {
+      result.push(second[j])
+      j += 1
+    }
+  }
+  return result.concat(first.slice(i), second.slice(j))
+}
+
+function shift (entry, base) {
+  var meta = { }
+  for (var key in entry[1]) meta[key] = entry[1][key]
+  meta.added += base
+  return [entry[0], meta]
+}
+
+function shiftCriteria (criteria, base) {
+  var result = { }
+  for (var key in criteria) result[key] = criteria[key]
+  if (typeof result.minAdded !== 'undefined') result.minAdded -= base
+  if (typeof result.maxAdded !== 'undefined') result.maxAdded -= base
+  return result
+}
+
+function mergePage (page, pending, order) {
+  if (!page.next) return { entries: merge(page.entries, pending, order) }
+  var oldest = page.entries[0]
+  var start = pending.length
+  if (oldest) {
+    while (start > 0 && isOlder(oldest, pending[start - 1], order)) {
+      start -= 1
+    }
+  }
+  return {
+    entries: merge(page.entries, pending.slice(start), order),
+    next: function () {
+      return page.next().then(function (next) {
+        return mergePage(next, pending.slice(0, start), order)
+      })
+    }
+  }
+}
+
+/**
+ * Store for {@link Log#branch}. It keeps new actions in memory
+ * and reads old actions from parent store page by page.
+ *
+ * Changes of metadata and reasons will be applied only to branch actions.
+ *
+ * Branch actions are numbered after the last action of parent store,
+ * so their `added` will be moved on every new parent action.
+ *
+ * @param {Store} parent Store of parent log.
+ *
+ * @class
+ * @extends Store
+ */
+function BranchStore (parent) {
+  /**
+   * Store of parent log.
+   * @type {Store}
+   */
+  this.parent = parent
+
+  /**
+   * Store with branch actions.
+   * @type {MemoryStore}
+   */
+  this.pending = new MemoryStore()
+}
+
+BranchStore.prototype = {
+
+  add: function add (action, meta) {
+    var store = this
+    return Promise.all([
+      this.parent.byId(meta.id),
+      this.parent.getLastAdded()
+    ]).then(function (result) {
+      if (result[0][0]) return false
+      return store.pending.add(action, meta).then(function (added) {
+        return added && shift([action, added], result[1])[1]
+      })
+    })
+  },
+
+  byId: function byId (id) {
+    var store = this
+    return Promise.all([
+      this.pending.byId(id),
+      this.parent.getLastAdded()
+    ]).then(function (result) {
+      var entry = result[0]
+      return entry[0] ? shift(entry, result[1]) : store.parent.byId(id)
+    })
+  },
+
+  remove: function remove (id) {
+    return Promise.all([
+      this.pending.remove(id),
+      this.parent.getLastAdded()
+    ]).then(function (result) {
+      return result[0] && shift(result[0], result[1])
+    })
+  },
+
+  get: function get (opts) {
+    var store = this
+    return this.parent.getLastAdded().then(function (base) {
+      return Promise.all([
+        store.parent.get(opts),
+        store.pending.get(shiftCriteria(opts, base))
+      ]).then(function (result) {
+        var pending = result[1].entries.map(function (entry) {
+          return shift(entry, base)
+        })
+        return mergePage(result[0], pending, opts.order)
+      })
+    })
+  },
+
+  changeMeta: function changeMeta (id, diff) {
+    return this.pending.changeMeta(id, diff)
+  },
+
+  removeReason: function removeReason (reason, criteria, callback) {
+    var pending = this.pending
+    return this.parent.getLastAdded().then(function (base) {
+      var shifted = shiftCriteria(criteria, base)
+      return pending.removeReason(reason, shifted, function (action, meta) {
+        var entry = shift([action, meta], base)
+        callback(entry[0], entry[1])
+      })
+    })
+  },
+
+  clean: function clean () {
+    return this.pending.clean()
+  },
+
+  getLastAdded: function getLastAdded () {
+    var pending = this.pending
+    return this.parent.getLastAdded().then(function (parentAdded) {
+      return parentAdded + pending.lastAdded
+    })
+  },
+
+  getLastSynced: function getLastSynced () {
+    return this.pending.getLastSynced()
+  },
+
+  setLastSynced: function setLastSynced (values) {
+    return this.pending.setLastSynced(values)
+  }
+
+}
+
+module.exports = BranchStore
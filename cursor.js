@@ -0,0 +1,219 @@
+var NOPE = [null, null]
+
+function init (cursor) {
+  if (!cursor.loading) {
+    var store = cursor.log.store
+    cursor.loading = store.get({ order: cursor.order }).then(function (page) {
+      cursor.entries = page.entries
+      cursor.position = page.entries.length
+      cursor.older = page.next
+    })
+  }
+  return cursor.loading
+}
+
+function loadOlder (cursor) {
+  if (!cursor.older) return Promise.resolve(false)
+  return cursor.older().then(function (page) {
+    cursor.entries = page.entries.concat(cursor.entries)
+    cursor.position += page.entries.length
+    cursor.older = page.next
+    return true
+  })
+}
+
+function loadRest (cursor) {
+  return loadOlder(cursor).then(function (loaded) {
+    return loaded ? loadRest(cursor) : undefined
+  })
+}
+
+function search (cursor, check, unchecked) {
+  for (var i = unchecked - 1; i >= 0; i--) {
+    if (check(cursor.entries[i][1])) return Promise.resolve(i)
+  }
+  var before = cursor.entries.length
+  return loadOlder(cursor).then(function (loaded) {
+    if (!loaded) return -1
+    return search(cursor, check, cursor.entries.length - before)
+  })
+}
+
+/**
+ * Cursor to move through log actions for debugging.
+ * Use {@link Log#cursor} to create it.
+ *
+ * Cursor starts after the last action. It loads the first page
+ * from store on first call and older pages only when it needs them.
+ * Cursor does not see actions, which were added after the first call.
+ *
+ * @param {Log} log The log to move through.
+ * @param {object} [opts] Cursor options.
+ * @param {'added'|'created'} [opts.order='created'] Sort entries by created
+ *                                                   time or when they was
+ *                                                   added to this log.
+ *
+ * @example
+ * const cursor = log.cursor()
+ * await cursor.seek(badActionId)
+ * const before = await cursor.prev()
+ * console.log(await cursor.reduce(reducer, initial))
+ *
+ * @class
+ */
+function Cursor (log, opts) {
+  /**
+   * The log to move through.
+   * @type {Log}
+   */
+  this.log = log
+
+  /**
+   * Actions order.
+   * @type {'added'|'created'}
+   */
+  this.order = opts && opts.order ? opts.order : 'created'
+
+  /**
+   * Loaded actions.
+   * @type {Entry[]}
+   */
+  this.entries = []
+
+  /**
+   * Index of current action in loaded actions. `-1` if cursor is before
+   * first action and `entries.length` if cursor is after last action.
+   * @type {number}
+   */
+  this.position = 0
+
+  this.older = undefined
+  this.loading = undefined
+}
+
+Cursor.prototype = {
+
+  current: function current () {
+    var entry = this.entries[this.position]
+    return entry ? [entry[0], entry[1]] : NOPE
+  },
+
+  /**
+   * Move cursor to action with ID or to the last action created
+   * before the time.
+   *
+   * Seeking by time works only with `created` order, because
+   * in `added` order actions before the time could be after
+   * the action from this time.
+   *
+   * @param {string|number} idOrTime Action ID or time in milliseconds.
+   *
+   * @return {Promise<Entry|Nope>} Promise with current action.
+   *
+   * @example
+   * await cursor.seek('1564508138460 380:R7BNGAP5:px3-J3oc 0')
+   * await cursor.seek(Date.now() - 60000)
+   */
+  seek: function seek (idOrTime) {
+    var cursor = this
+    var byId = typeof idOrTime === 'string'
+    if (!byId && this.order !== 'created') {
+      return Promise.reject(new Error('Seek by time needs created order'))
+    }
+    return init(this).then(function () {
+      return search(cursor, function (meta) {
+        return byId ? meta.id === idOrTime : meta.time <= idOrTime
+      }, cursor.entries.length)
+    }).then(function (index) {
+      if (index !== -1 || !byId) cursor.position = index
+      return index === -1 ? NOPE : cursor.current()
+    })
+  },
+
+  /**
+   * Move cursor to next action.
+   *
+   * @return {Promise<Entry|Nope>} Promise with next action or `Nope`
+   *                               if cursor reached the end of log.
+   *
+   * @example
+   * await cursor.seek(errorTime)
+   * let [action, meta] = await cursor.next()
+   * while (action) {
+   *   console.log(action)
+   *   [action, meta] = await cursor.next()
+   * }
+   */
+  next: function next () {
+    var cursor = this
+    return init(this).then(function () {
+      if (cursor.position < cursor.entries.length) cursor.position += 1
+      return cursor.current()
+    })
+  },
+
+  /**
+   * Move cursor to previous action.
+   *
+   * @return {Promise<Entry|Nope>} Promise with previous action or `Nope`
+   *                               if cursor reached the start of log.
+   *
+   * @example
+   * const [prevAction] = await cursor.prev()
+   */
+  prev: function prev () {
+    var cursor = this
+    function step () {
+      if (cursor.position > 0) {
+        cursor.position -= 1
+        return cursor.current()
+      }
+      return loadOlder(cursor).then(function (loaded) {
+        if (loaded) return step()
+        cursor.position = -1
+        return NOPE
+      })
+    }
+    return init(this).then(step)
+  },
+
+  /**
+   * Calculate state by reducer from the first action to current action.
+   * It will not change the log or cursor position, but it will load
+   * all older pages.
+   *
+   * @param {reducer} reducer Function to calculate new state.
+   * @param {any} [initial] Initial state.
+   *
+   * @return {Promise<any>} Promise with state.
+   *
+   * @example
+   * await cursor.seek(time)
+   * const state = await cursor.reduce(reducer, { })
+   */
+  reduce: function reduce (reducer, initial) {
+    var cursor = this
+    return init(this).then(function () {
+      return loadRest(cursor)
+    }).then(function () {
+      var entries = cursor.entries
+      var state = initial
+      var last = Math.min(cursor.position, entries.length - 1)
+      for (var i = 0; i <= last; i++) {
+        state = reducer(state, entries[i][0], entries[i][1])
+      }
+      return state
+    })
+  }
+
+}
+
+module.exports = Cursor
+
+/**
+ * @callback reducer
+ * @param {any} state Previous state.
+ * @param {Action} action Action from log.
+ * @param {Meta} meta Action’s metadata.
+ * @return {any} New state.
+ */
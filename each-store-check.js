@@ -127,6 +127,20 @@ function eachStoreCheck (test) {
     }
   })
 
+  test('keeps latest added after removing', function (factory) {
+    return function () {
+      var store = factory()
+      return store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+        .then(function () {
+          return store.add({ type: 'B' }, { id: '2 n 0', time: 2 })
+        }).then(function () {
+          return store.remove('2 n 0')
+        }).then(function () {
+          return checkLastAdded(store, 2)
+        })
+    }
+  })
+
   test('changes meta', function (factory) {
     return function () {
       var store = factory()
@@ -459,6 +473,151 @@ function eachStoreCheck (test) {
     }
   })
 
+  test('adds batch if implemented', function (factory) {
+    return function () {
+      var store = factory()
+      if (typeof store.addBatch === 'undefined') {
+        return Promise.resolve()
+      } else {
+        return store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+          .then(function () {
+            return store.addBatch([
+              [{ type: 'B' }, { id: '2 n 0', time: 2 }],
+              [{ type: 'A' }, { id: '1 n 0', time: 1 }],
+              [{ type: 'C' }, { id: '0 n 0', time: 0 }]
+            ])
+          }).then(function (result) {
+            assert.deepStrictEqual(result, [
+              { id: '2 n 0', time: 2, added: 2 },
+              false,
+              { id: '0 n 0', time: 0, added: 3 }
+            ])
+            return Promise.all([
+              check(store, 'created', [
+                [{ type: 'C' }, { id: '0 n 0', time: 0, added: 3 }],
+                [{ type: 'A' }, { id: '1 n 0', time: 1, added: 1 }],
+                [{ type: 'B' }, { id: '2 n 0', time: 2, added: 2 }]
+              ]),
+              check(store, 'added', [
+                [{ type: 'A' }, { id: '1 n 0', time: 1, added: 1 }],
+                [{ type: 'B' }, { id: '2 n 0', time: 2, added: 2 }],
+                [{ type: 'C' }, { id: '0 n 0', time: 0, added: 3 }]
+              ]),
+              checkLastAdded(store, 3)
+            ])
+          })
+      }
+    }
+  })
+
+  test('saves snapshot if implemented', function (factory) {
+    return function () {
+      var store = factory()
+      if (typeof store.saveSnapshot === 'undefined') {
+        return Promise.resolve()
+      } else {
+        var first = { id: '2 n 0', time: 1, added: 1, state: { a: 1 } }
+        var second = { id: '3 n 0', time: 2, added: 2, state: { a: 2 } }
+        return store.getSnapshot().then(function (snapshot) {
+          assert.strictEqual(snapshot, null)
+          return store.saveSnapshot(first)
+        }).then(function () {
+          return store.saveSnapshot(second)
+        }).then(function () {
+          return store.getSnapshot()
+        }).then(function (snapshot) {
+          assert.deepStrictEqual(snapshot, second)
+        })
+      }
+    }
+  })
+
+  test('returns stats if implemented', function (factory) {
+    return function () {
+      var store = factory()
+      if (typeof store.stats === 'undefined') {
+        return Promise.resolve()
+      } else {
+        return store.stats().then(function (stats) {
+          assert.deepStrictEqual(stats, {
+            count: 0,
+            types: { },
+            reasons: { },
+            minTime: undefined,
+            maxTime: undefined,
+            lastAdded: 0,
+            size: 0
+          })
+          return Promise.all([
+            store.add({ type: 'A' }, { id: '1 n 0', time: 1, reasons: ['a'] }),
+            store.add({ type: 'B' }, { id: '2 n 0', time: 2, reasons: ['a'] }),
+            store.add({ type: 'A' }, { id: '3 n 0', time: 3, reasons: ['b'] }),
+            store.add({ type: 'A' }, { id: '4 n 0', time: 4, reasons: ['b'] })
+          ])
+        }).then(function () {
+          return Promise.all([
+            store.removeReason('a', { id: '1 n 0' }, nope),
+            store.removeReason('b', { maxAdded: 3 }, nope),
+            store.changeMeta('2 n 0', { reasons: ['b', 'c'] })
+          ])
+        }).then(function () {
+          return store.stats()
+        }).then(function (stats) {
+          assert.ok(stats.size > 0)
+          delete stats.size
+          assert.deepStrictEqual(stats, {
+            count: 2,
+            types: { A: 1, B: 1 },
+            reasons: { b: 2, c: 1 },
+            minTime: 2,
+            maxTime: 4,
+            lastAdded: 4
+          })
+          return Promise.all([
+            store.remove('2 n 0'),
+            store.remove('4 n 0')
+          ])
+        }).then(function () {
+          return store.stats()
+        }).then(function (stats) {
+          assert.strictEqual(stats.count, 0)
+          assert.strictEqual(stats.size, 0)
+          assert.deepStrictEqual(stats.types, { })
+          assert.deepStrictEqual(stats.reasons, { })
+        })
+      }
+    }
+  })
+
+  test('keeps scope data if implemented', function (factory) {
+    return function () {
+      var store = factory()
+      if (typeof store.setScopeData === 'undefined') {
+        return Promise.resolve()
+      } else {
+        return store.getScopeData('a').then(function (data) {
+          assert.deepStrictEqual(data, { })
+          return store.setScopeData('a', { sent: 1 })
+        }).then(function () {
+          return Promise.all([
+            store.setScopeData('a', { received: 2 }),
+            store.setScopeData('b', { sent: 3 })
+          ])
+        }).then(function () {
+          return Promise.all([
+            store.getScopeData('a'),
+            store.getScopeData('b')
+          ])
+        }).then(function (data) {
+          assert.deepStrictEqual(data, [
+            { sent: 1, received: 2 },
+            { sent: 3 }
+          ])
+        })
+      }
+    }
+  })
+
   test('cleans whole store if implemented', function (factory) {
     return function () {
       var store = factory()
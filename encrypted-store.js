@@ -0,0 +1,413 @@
+var nodeCrypto = require('crypto')
+
+var isMatched = require('./is-matched')
+
+var INDEX = { id: true, time: true, added: true, reasons: true }
+var OPTIONAL = [
+  'addBatch', 'saveSnapshot', 'getSnapshot', 'stats',
+  'getScopeData', 'setScopeData'
+]
+var IV = 12
+var TAG = 16
+
+function toBytes (string) {
+  var bytes = new Uint8Array(string.length)
+  for (var i = 0; i < string.length; i++) {
+    bytes[i] = string.charCodeAt(i)
+  }
+  return bytes
+}
+
+function toString (bytes) {
+  var string = ''
+  for (var i = 0; i < bytes.length; i++) {
+    string += String.fromCharCode(bytes[i])
+  }
+  return string
+}
+
+function getKey (store) {
+  if (!store.importing) {
+    if (ArrayBuffer.isView(store.key)) {
+      store.importing = store.crypto.subtle.importKey(
+        'raw', store.key, 'AES-GCM', false, ['encrypt', 'decrypt']
+      )
+    } else {
+      store.importing = Promise.resolve(store.key)
+    }
+  }
+  return store.importing
+}
+
+function cipherName (key) {
+  return 'aes-' + key.length * 8 + '-gcm'
+}
+
+function encrypt (store, data) {
+  var json = JSON.stringify(data)
+  if (!store.crypto) {
+    var nodeIv = nodeCrypto.randomBytes(IV)
+    var cipher = nodeCrypto.createCipheriv(
+      cipherName(store.key), store.key, nodeIv
+    )
+    var encrypted = toString(cipher.update(json, 'utf8')) +
+      toString(cipher.final())
+    return Promise.resolve(
+      toString(nodeIv) + encrypted + toString(cipher.getAuthTag())
+    )
+  }
+  var iv = store.crypto.getRandomValues(new Uint8Array(IV))
+  return getKey(store).then(function (key) {
+    return store.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(json)
+    )
+  }).then(function (result) {
+    return toString(iv) + toString(new Uint8Array(result))
+  })
+}
+
+function decrypt (store, string) {
+  var bytes = toBytes(string)
+  if (!store.crypto) {
+    return new Promise(function (resolve) {
+      var decipher = nodeCrypto.createDecipheriv(
+        cipherName(store.key), store.key, bytes.subarray(0, IV)
+      )
+      decipher.setAuthTag(bytes.subarray(bytes.length - TAG))
+      var json = decipher.update(
+        bytes.subarray(IV, bytes.length - TAG), undefined, 'utf8'
+      )
+      resolve(JSON.parse(json + decipher.final('utf8')))
+    })
+  }
+  return getKey(store).then(function (key) {
+    return store.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.subarray(0, IV) }, key, bytes.subarray(IV)
+    )
+  }).then(function (decrypted) {
+    return JSON.parse(new TextDecoder().decode(decrypted))
+  })
+}
+
+function encryptMeta (store, meta) {
+  var result = { }
+  var secret = { }
+  var hasSecret = false
+  for (var key in meta) {
+    if (INDEX[key]) {
+      result[key] = meta[key]
+    } else {
+      secret[key] = meta[key]
+      hasSecret = true
+    }
+  }
+  if (!hasSecret) return Promise.resolve(result)
+  return encrypt(store, secret).then(function (encrypted) {
+    result.encrypted = encrypted
+    return result
+  })
+}
+
+function encryptEntry (store, action, meta) {
+  return Promise.all([encrypt(store, action), encryptMeta(store, meta)])
+    .then(function (result) {
+      return [{ encrypted: result[0] }, result[1]]
+    })
+}
+
+function decryptMeta (store, data) {
+  var meta = { }
+  for (var key in data) {
+    if (key !== 'encrypted') meta[key] = data[key]
+  }
+  if (!data.encrypted) return Promise.resolve(meta)
+  return decrypt(store, data.encrypted).then(function (secret) {
+    for (var i in secret) meta[i] = secret[i]
+    return meta
+  })
+}
+
+function decryptEntry (store, entry) {
+  if (!entry[0]) return Promise.resolve(entry)
+  return Promise.all([
+    decrypt(store, entry[0].encrypted),
+    decryptMeta(store, entry[1])
+  ])
+}
+
+function decryptPage (store, page, type) {
+  return Promise.all(page.entries.map(function (entry) {
+    return decryptEntry(store, entry)
+  })).then(function (entries) {
+    var result = {
+      entries: entries.filter(function (entry) {
+        return isMatched(entry[0], entry[1], { type: type })
+      })
+    }
+    if (page.next) {
+      result.next = function () {
+        return page.next().then(function (next) {
+          return decryptPage(store, next, type)
+        })
+      }
+    }
+    return result
+  })
+}
+
+/**
+ * Store wrapper to keep log encrypted by AES-GCM in another store.
+ *
+ * It encrypts actions and all metadata except `id`, `time`, `added`
+ * and `reasons`. So wrapped store still can sort actions and remove reasons.
+ *
+ * It uses global WebCrypto API. If there is no WebCrypto,
+ * it uses `crypto` module from Node.js.
+ *
+ * @param {Store} store Store to keep encrypted actions.
+ * @param {object} opts Options.
+ * @param {CryptoKey|Uint8Array} opts.key AES-GCM key from WebCrypto API
+ *                                        or raw key bytes. Node.js
+ *                                        `crypto` module supports
+ *                                        only raw key.
+ * @param {Crypto} [opts.crypto] WebCrypto implementation if you want
+ *                               change implementation.
+ *
+ * @example
+ * import { EncryptedStore, MemoryStore } from '@logux/core'
+ *
+ * const key = await crypto.subtle.generateKey(
+ *   { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+ * )
+ * const log = new Log({
+ *   nodeId: 'client:134',
+ *   store: new EncryptedStore(new MemoryStore(), { key })
+ * })
+ *
+ * @class
+ * @extends Store
+ */
+function EncryptedStore (store, opts) {
+  if (typeof store !== 'object') {
+    throw new Error('Expected store')
+  }
+  if (!opts || !opts.key) {
+    throw new Error('Expected key')
+  }
+
+  /**
+   * Store with encrypted actions.
+   * @type {Store}
+   */
+  this.store = store
+  this.key = opts.key
+
+  if (opts.crypto) {
+    this.crypto = opts.crypto
+  } else if (typeof crypto !== 'undefined') {
+    this.crypto = crypto
+  } else if (nodeCrypto.createCipheriv) {
+    this.crypto = false
+  } else {
+    throw new Error('No WebCrypto support')
+  }
+
+  for (var i = 0; i < OPTIONAL.length; i++) {
+    if (!store[OPTIONAL[i]]) this[OPTIONAL[i]] = undefined
+  }
+
+  this.importing = undefined
+  this.queue = Promise.resolve()
+}
+
+EncryptedStore.prototype = {
+
+  run: function run (callback) {
+    var result = this.queue.then(callback)
+    this.queue = result.catch(function () { })
+    return result
+  },
+
+  add: function add (action, meta) {
+    var self = this
+    return this.run(function () {
+      return encryptEntry(self, action, meta).then(function (entry) {
+        return self.store.add(entry[0], entry[1])
+      }).then(function (added) {
+        if (!added) return false
+        meta.added = added.added
+        return meta
+      })
+    })
+  },
+
+  addBatch: function addBatch (entries) {
+    var self = this
+    return this.run(function () {
+      return Promise.all(entries.map(function (entry) {
+        return encryptEntry(self, entry[0], entry[1])
+      })).then(function (encrypted) {
+        return self.store.addBatch(encrypted)
+      }).then(function (result) {
+        return result.map(function (added, i) {
+          if (!added) return false
+          entries[i][1].added = added.added
+          return entries[i][1]
+        })
+      })
+    })
+  },
+
+  byId: function byId (id) {
+    var self = this
+    return this.run(function () {
+      return self.store.byId(id).then(function (entry) {
+        return decryptEntry(self, entry)
+      })
+    })
+  },
+
+  remove: function remove (id) {
+    var self = this
+    return this.run(function () {
+      return self.store.remove(id).then(function (entry) {
+        return entry ? decryptEntry(self, entry) : false
+      })
+    })
+  },
+
+  get: function get (opts) {
+    var self = this
+    var criteria = { }
+    for (var key in opts) {
+      if (key !== 'type') criteria[key] = opts[key]
+    }
+    return this.run(function () {
+      return self.store.get(criteria).then(function (page) {
+        return decryptPage(self, page, opts.type)
+      })
+    })
+  },
+
+  changeMeta: function changeMeta (id, diff) {
+    var self = this
+    var secret = false
+    for (var key in diff) {
+      if (!INDEX[key]) secret = true
+    }
+    return this.run(function () {
+      if (!secret) return self.store.changeMeta(id, diff)
+      return self.store.byId(id).then(function (entry) {
+        if (!entry[0]) return false
+        return decryptEntry(self, entry).then(function (decrypted) {
+          var meta = decrypted[1]
+          for (var i in diff) meta[i] = diff[i]
+          return encryptMeta(self, meta)
+        }).then(function (meta) {
+          var changes = { encrypted: meta.encrypted }
+          for (var i in diff) {
+            if (INDEX[i]) changes[i] = diff[i]
+          }
+          return self.store.changeMeta(id, changes)
+        })
+      })
+    })
+  },
+
+  removeReason: function removeReason (reason, criteria, callback) {
+    var self = this
+    var removed = []
+    return this.run(function () {
+      return self.store.removeReason(reason, criteria, function (action, meta) {
+        removed.push(decryptEntry(self, [action, meta]))
+      }).then(function () {
+        return Promise.all(removed)
+      }).then(function (entries) {
+        for (var i = 0; i < entries.length; i++) {
+          callback(entries[i][0], entries[i][1])
+        }
+      })
+    })
+  },
+
+  clean: function clean () {
+    var self = this
+    return this.run(function () {
+      return self.store.clean()
+    })
+  },
+
+  stats: function stats () {
+    var self = this
+    var types = { }
+    function count (page) {
+      for (var i = 0; i < page.entries.length; i++) {
+        var type = page.entries[i][0].type
+        types[type] = (types[type] || 0) + 1
+      }
+      return page.next ? page.next().then(count) : undefined
+    }
+    return this.get({ order: 'added' }).then(count).then(function () {
+      return self.store.stats()
+    }).then(function (result) {
+      result.types = types
+      return result
+    })
+  },
+
+  saveSnapshot: function saveSnapshot (snapshot) {
+    var self = this
+    return this.run(function () {
+      return encryptMeta(self, snapshot).then(function (encrypted) {
+        return self.store.saveSnapshot(encrypted)
+      })
+    })
+  },
+
+  getSnapshot: function getSnapshot () {
+    var self = this
+    return this.run(function () {
+      return self.store.getSnapshot().then(function (snapshot) {
+        return snapshot ? decryptMeta(self, snapshot) : null
+      })
+    })
+  },
+
+  getScopeData: function getScopeData (scope) {
+    var self = this
+    return this.run(function () {
+      return self.store.getScopeData(scope).then(function (data) {
+        return data.encrypted ? decrypt(self, data.encrypted) : { }
+      })
+    })
+  },
+
+  setScopeData: function setScopeData (scope, values) {
+    var self = this
+    return this.run(function () {
+      return self.store.getScopeData(scope).then(function (data) {
+        return data.encrypted ? decrypt(self, data.encrypted) : { }
+      }).then(function (data) {
+        for (var key in values) data[key] = values[key]
+        return encrypt(self, data)
+      }).then(function (encrypted) {
+        return self.store.setScopeData(scope, { encrypted: encrypted })
+      })
+    })
+  },
+
+  getLastAdded: function getLastAdded () {
+    return this.store.getLastAdded()
+  },
+
+  getLastSynced: function getLastSynced () {
+    return this.store.getLastSynced()
+  },
+
+  setLastSynced: function setLastSynced (values) {
+    return this.store.setLastSynced(values)
+  }
+
+}
+
+module.exports = EncryptedStore
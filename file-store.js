@@ -0,0 +1,298 @@
+var fs = require('fs')
+
+var MemoryStore = require('./memory-store')
+
+function nope () { }
+
+function call (method, args) {
+  return new Promise(function (resolve, reject) {
+    fs[method].apply(fs, args.concat(function (err, result) {
+      if (err) {
+        reject(err)
+      } else {
+        resolve(result)
+      }
+    }))
+  })
+}
+
+function replay (memory, line) {
+  var type = line[0]
+  if (type === 'add') {
+    memory.lastAdded = Math.max(memory.lastAdded, line[2].added - 1)
+    memory.add(line[1], line[2])
+  } else if (type === 'remove') {
+    memory.remove(line[1])
+  } else if (type === 'meta') {
+    memory.changeMeta(line[1], line[2])
+  } else if (type === 'reason') {
+    memory.removeReason(line[1], line[2], nope)
+  } else if (type === 'synced') {
+    memory.setLastSynced(line[1])
+  } else if (type === 'snapshot') {
+    memory.saveSnapshot(line[1])
+  } else if (type === 'scope') {
+    memory.setScopeData(line[1], line[2])
+  } else if (type === 'last') {
+    memory.lastAdded = line[1]
+  }
+}
+
+function load (store) {
+  return call('readFile', [store.file]).then(function (buffer) {
+    var end = buffer.lastIndexOf(10) + 1
+    var lines = buffer.slice(0, end).toString().split('\n')
+    lines.pop()
+    for (var i = 0; i < lines.length; i++) {
+      replay(store.memory, JSON.parse(lines[i]))
+    }
+    store.lines = lines.length
+    if (end < buffer.length) return call('truncate', [store.file, end])
+    return undefined
+  }, function (e) {
+    if (e.code !== 'ENOENT') throw e
+  })
+}
+
+function run (store, callback) {
+  var result = store.queue.then(callback)
+  store.queue = result.catch(nope)
+  return result
+}
+
+function queued (store, callback) {
+  return run(store, function () {
+    return store.init().then(function () {
+      return callback(store.memory)
+    })
+  })
+}
+
+function write (store, getLine, apply) {
+  return queued(store, function (memory) {
+    var line = getLine(memory)
+    if (!line) return false
+    var data = JSON.stringify(line) + '\n'
+    return call('appendFile', [store.file, data]).then(function () {
+      store.lines += 1
+      return apply(memory)
+    })
+  }).then(function (result) {
+    if (store.lines - store.memory.ids.size > store.compactAfter) {
+      store.compact().catch(nope)
+    }
+    return result
+  })
+}
+
+/**
+ * Append-only file store for Node.js.
+ *
+ * It keeps all actions in memory and writes every change to the journal
+ * file. Changes are applied to memory only after they were written.
+ * On start it reads the journal and removes broken last line,
+ * if process was killed during writing.
+ *
+ * The journal will be compacted in background, when it will have
+ * too many lines for removed actions and old changes.
+ *
+ * @param {string} file Path to journal file.
+ * @param {object} [opts] Options.
+ * @param {number} [opts.compactAfter=1000] How many old lines
+ *                                          could be in journal
+ *                                          before compaction.
+ *
+ * @example
+ * import { FileStore } from '@logux/core'
+ *
+ * const log = new Log({
+ *   nodeId: 'server',
+ *   store: new FileStore('./log.jsonl')
+ * })
+ *
+ * @class
+ * @extends Store
+ */
+function FileStore (file, opts) {
+  if (typeof file !== 'string') {
+    throw new Error('Expected file')
+  }
+  if (!opts) opts = { }
+
+  /**
+   * Path to journal file.
+   * @type {string}
+   */
+  this.file = file
+
+  /**
+   * Store with current actions.
+   * @type {MemoryStore}
+   */
+  this.memory = new MemoryStore()
+
+  this.compactAfter = opts.compactAfter || 1000
+  this.lines = 0
+  this.loading = undefined
+  this.queue = Promise.resolve()
+}
+
+FileStore.prototype = {
+
+  init: function init () {
+    if (!this.loading) this.loading = load(this)
+    return this.loading
+  },
+
+  /**
+   * Rewrite journal only with current actions. Store calls it
+   * automatically after `compactAfter` changes.
+   *
+   * @return {Promise} Promise when journal will be rewritten.
+   *
+   * @example
+   * await store.compact()
+   */
+  compact: function compact () {
+    var store = this
+    return queued(this, function (memory) {
+      var lines = memory.added.map(function (entry) {
+        return ['add', entry[0], entry[1]]
+      })
+      lines.push(['last', memory.lastAdded])
+      lines.push(['synced', {
+        received: memory.lastReceived,
+        sent: memory.lastSent
+      }])
+      if (memory.snapshot) lines.push(['snapshot', memory.snapshot])
+      for (var scope in memory.scopes) {
+        lines.push(['scope', scope, memory.scopes[scope]])
+      }
+
+      var data = lines.map(function (line) {
+        return JSON.stringify(line) + '\n'
+      }).join('')
+      var tmp = store.file + '.tmp'
+      return call('writeFile', [tmp, data]).then(function () {
+        return call('rename', [tmp, store.file])
+      }).then(function () {
+        store.lines = lines.length
+      })
+    })
+  },
+
+  add: function add (action, meta) {
+    return write(this, function (memory) {
+      if (memory.ids.has(meta.id)) return false
+      meta.added = memory.lastAdded + 1
+      return ['add', action, meta]
+    }, function (memory) {
+      return memory.add(action, meta)
+    })
+  },
+
+  byId: function byId (id) {
+    return queued(this, function (memory) {
+      return memory.byId(id)
+    })
+  },
+
+  remove: function remove (id) {
+    return write(this, function (memory) {
+      return memory.ids.has(id) && ['remove', id]
+    }, function (memory) {
+      return memory.remove(id)
+    })
+  },
+
+  get: function get (opts) {
+    return queued(this, function (memory) {
+      return memory.get(opts)
+    })
+  },
+
+  changeMeta: function changeMeta (id, diff) {
+    return write(this, function (memory) {
+      return memory.ids.has(id) && ['meta', id, diff]
+    }, function (memory) {
+      return memory.changeMeta(id, diff)
+    })
+  },
+
+  removeReason: function removeReason (reason, criteria, callback) {
+    return write(this, function () {
+      return ['reason', reason, criteria]
+    }, function (memory) {
+      return memory.removeReason(reason, criteria, callback)
+    })
+  },
+
+  clean: function clean () {
+    var store = this
+    return queued(this, function (memory) {
+      return call('unlink', [store.file]).catch(function (e) {
+        if (e.code !== 'ENOENT') throw e
+      }).then(function () {
+        store.lines = 0
+        return memory.clean()
+      })
+    })
+  },
+
+  stats: function stats () {
+    return queued(this, function (memory) {
+      return memory.stats()
+    })
+  },
+
+  saveSnapshot: function saveSnapshot (snapshot) {
+    return write(this, function () {
+      return ['snapshot', snapshot]
+    }, function (memory) {
+      return memory.saveSnapshot(snapshot)
+    })
+  },
+
+  getSnapshot: function getSnapshot () {
+    return queued(this, function (memory) {
+      return memory.getSnapshot()
+    })
+  },
+
+  getScopeData: function getScopeData (scope) {
+    return queued(this, function (memory) {
+      return memory.getScopeData(scope)
+    })
+  },
+
+  setScopeData: function setScopeData (scope, values) {
+    return write(this, function () {
+      return ['scope', scope, values]
+    }, function (memory) {
+      return memory.setScopeData(scope, values)
+    })
+  },
+
+  getLastAdded: function getLastAdded () {
+    return queued(this, function (memory) {
+      return memory.getLastAdded()
+    })
+  },
+
+  getLastSynced: function getLastSynced () {
+    return queued(this, function (memory) {
+      return memory.getLastSynced()
+    })
+  },
+
+  setLastSynced: function setLastSynced (values) {
+    return write(this, function () {
+      return ['synced', values]
+    }, function (memory) {
+      return memory.setLastSynced(values)
+    })
+  }
+
+}
+
+module.exports = FileStore
@@ -1,11 +1,16 @@
 var ServerConnection = require('./server-connection')
 var eachStoreCheck = require('./each-store-check')
+var EncryptedStore = require('./encrypted-store')
 var isFirstOlder = require('./is-first-older')
+var IndexedStore = require('./indexed-store')
 var WsConnection = require('./ws-connection')
 var MemoryStore = require('./memory-store')
+var Projection = require('./projection')
 var ClientNode = require('./client-node')
 var ServerNode = require('./server-node')
 var LoguxError = require('./logux-error')
+var FileStore = require('./file-store')
+var mergeLogs = require('./merge-logs')
 var LocalPair = require('./local-pair')
 var Reconnect = require('./reconnect')
 var TestTime = require('./test-time')
@@ -16,12 +21,17 @@ var Log = require('./log')
 module.exports = {
   ServerConnection: ServerConnection,
   eachStoreCheck: eachStoreCheck,
+  EncryptedStore: EncryptedStore,
   isFirstOlder: isFirstOlder,
+  IndexedStore: IndexedStore,
   WsConnection: WsConnection,
   MemoryStore: MemoryStore,
+  Projection: Projection,
   ClientNode: ClientNode,
   ServerNode: ServerNode,
   LoguxError: LoguxError,
+  FileStore: FileStore,
+  mergeLogs: mergeLogs,
   LocalPair: LocalPair,
   Reconnect: Reconnect,
   TestTime: TestTime,
@@ -92,6 +102,30 @@ module.exports = {
  * @property {string} sent The `added` value of latest sent event.
  */
 
+/**
+ * Log statistics from {@link Log#stats}.
+ *
+ * @typedef {object} Stats
+ * @property {number} count Number of actions in log.
+ * @property {object} types Number of actions by type.
+ * @property {object} reasons Number of actions by reason.
+ * @property {number|undefined} minTime Created time of the oldest action.
+ * @property {number|undefined} maxTime Created time of the newest action.
+ * @property {number} lastAdded The biggest `added` number in log.
+ * @property {number} size Approximate size of actions and metadata
+ *                         in JSON.
+ */
+
+/**
+ * Reduced state of log actions, which were removed from log.
+ *
+ * @typedef {object} Snapshot
+ * @property {string} id Unique ID for `logux/snapshot` action.
+ * @property {number} time Created time of the latest action in snapshot.
+ * @property {number} added The `added` of the latest action in snapshot.
+ * @property {any} state Reduced state of actions.
+ */
+
 /**
  * Every Store class should provide 8 standard methods:
  * `add`, `has`, `get`, `remove`, `changeMeta`, `removeReason`,
@@ -117,6 +151,22 @@ module.exports = {
  * @function
  * @memberof Store#
  */
+/**
+ * Add several actions to store in one transaction. It is optional method,
+ * {@link Log#addBatch} will call {@link Store#add} for every action
+ * if store does not have this method.
+ *
+ * @param {Entry[]} entries Array of actions and metadata.
+ *
+ * @return {Promise<Array<Meta|false>>} Promise with array of `meta`
+ *                                      for new actions and `false` for actions
+ *                                      with `meta.id` which was already
+ *                                      in store.
+ *
+ * @name addBatch
+ * @function
+ * @memberof Store#
+ */
 /**
  * Remove action from store.
  *
@@ -136,9 +186,21 @@ module.exports = {
  * This tricky API is used, because log could be very big. So we need
  * pagination to keep them in memory.
  *
+ * Store could filter entries by query criteria. Criteria support is optional,
+ * because {@link Log#each} filters entries from store too.
+ *
  * @param {object} opts Query options.
  * @param {"created"|"added"} [opts.order] Sort entries by created time or
  *                                         when they was added to current log.
+ * @param {string} [opts.type] Return only actions with this type
+ *                             or with type prefix for `users/*`.
+ * @param {number} [opts.minTime] Return only actions with bigger `time`.
+ * @param {number} [opts.maxTime] Return only actions with lower `time`.
+ * @param {number} [opts.minAdded] Return only actions with bigger `added`.
+ * @param {number} [opts.maxAdded] Return only actions with lower `added`.
+ * @param {string} [opts.reason] Return only actions with this reason.
+ * @param {string|number} [opts.nodeId] Return only actions created
+ *                                      by this node.
  *
  * @return {Promise<Page>} Promise with first {@link Page}.
  *
@@ -201,6 +263,66 @@ module.exports = {
  * @function
  * @memberof Store#
  */
+/**
+ * Save log snapshot. It is optional method. Store should keep only
+ * the latest snapshot.
+ *
+ * @param {Snapshot} snapshot Reduced state of removed actions.
+ *
+ * @return {Promise} Promise when snapshot will be saved.
+ *
+ * @name saveSnapshot
+ * @function
+ * @memberof Store#
+ */
+/**
+ * Return the latest log snapshot. It is optional method.
+ *
+ * @return {Promise<Snapshot|null>} Promise with snapshot or `null`
+ *                                  if store has no snapshot.
+ *
+ * @name getSnapshot
+ * @function
+ * @memberof Store#
+ */
+/**
+ * Return statistics for actions in store. It is optional method,
+ * {@link Log#stats} will iterate through all actions if store
+ * does not have this method.
+ *
+ * @return {Promise<Stats>} Promise with store statistics.
+ *
+ * @name stats
+ * @function
+ * @memberof Store#
+ */
+/**
+ * Return data of {@link Log#scope} from {@link Store#setScopeData}.
+ * It is optional method, {@link ScopedStore} will keep scope data
+ * in memory if store does not have this method.
+ *
+ * @param {string} scope Scope name.
+ *
+ * @return {Promise<object>} Promise with scope data or empty object.
+ *
+ * @name getScopeData
+ * @function
+ * @memberof Store#
+ */
+/**
+ * Save data of {@link Log#scope} like latest synchronized values
+ * and snapshot. It is optional method. Store should merge values
+ * with previous data of this scope.
+ *
+ * @param {string} scope Scope name.
+ * @param {object} values Values to change in scope data.
+ *
+ * @return {Promise} Promise when data will be saved.
+ *
+ * @name setScopeData
+ * @function
+ * @memberof Store#
+ */
 /**
  * Return biggest `added` number in store.
  * All actions in this log have less or same `added` time.
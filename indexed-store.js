@@ -0,0 +1,329 @@
+var helpers = require('./store-helpers')
+var isMatched = require('./is-matched')
+
+var isInCriteria = helpers.isInCriteria
+var isDefined = helpers.isDefined
+
+var VERSION = 1
+var PAGE = 100
+
+function promisify (request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = function () {
+      resolve(request.result)
+    }
+    request.onerror = function () {
+      reject(request.error)
+    }
+  })
+}
+
+function createdKey (meta) {
+  var index = meta.id.indexOf(' ')
+  return [meta.time, meta.id.slice(index + 1), meta.id.slice(0, index)]
+}
+
+function toEntry (record) {
+  record.meta.added = record.added
+  return [record.action, record.meta]
+}
+
+function transaction (store, mode, callback) {
+  return store.init().then(function (db) {
+    return new Promise(function (resolve, reject) {
+      var tx = db.transaction(['log', 'extra'], mode)
+      var result
+      tx.oncomplete = function () {
+        resolve(result)
+      }
+      tx.onabort = function () {
+        reject(tx.error)
+      }
+      callback(tx, function (value) {
+        result = value
+      })
+    })
+  })
+}
+
+function loadPage (store, opts, before) {
+  return transaction(store, 'readonly', function (tx, finish) {
+    var source = tx.objectStore('log')
+    if (opts.order === 'created') source = source.index('created')
+    var range = isDefined(before) ? IDBKeyRange.upperBound(before, true) : null
+
+    var page = { entries: [] }
+    var read = 0
+    var last
+    source.openCursor(range, 'prev').onsuccess = function (e) {
+      var cursor = e.target.result
+      if (cursor && read === PAGE) {
+        page.next = function () {
+          return loadPage(store, opts, last)
+        }
+      } else if (cursor) {
+        var entry = toEntry(cursor.value)
+        if (isMatched(entry[0], entry[1], opts)) page.entries.unshift(entry)
+        last = cursor.key
+        read += 1
+        cursor.continue()
+        return
+      }
+      finish(page)
+    }
+  })
+}
+
+function removeFrom (log, record, reason, removed) {
+  var meta = record.meta
+  meta.reasons.splice(meta.reasons.indexOf(reason), 1)
+  record.reasons = meta.reasons
+  if (meta.reasons.length === 0) {
+    log.delete(record.added)
+    removed.push(toEntry(record))
+  } else {
+    log.put(record)
+  }
+}
+
+/**
+ * IndexedDB store for browser.
+ *
+ * It keeps log between page reloads and shares it between browser tabs
+ * with the same database name. Actions are loaded by pages
+ * of 100 actions.
+ *
+ * @param {string} [name='logux'] Database name.
+ *
+ * @example
+ * import { IndexedStore } from '@logux/core'
+ *
+ * const log = new Log({
+ *   nodeId: 'client:134',
+ *   store: new IndexedStore('logux:134')
+ * })
+ *
+ * @class
+ * @extends Store
+ */
+function IndexedStore (name) {
+  if (typeof indexedDB === 'undefined') {
+    throw new Error('No IndexedDB support')
+  }
+
+  /**
+   * Database name.
+   * @type {string}
+   */
+  this.name = name || 'logux'
+
+  this.initing = undefined
+}
+
+IndexedStore.prototype = {
+
+  init: function init () {
+    if (this.initing) return this.initing
+
+    var store = this
+    var request = indexedDB.open(this.name, VERSION)
+    request.onupgradeneeded = function () {
+      var db = request.result
+      var log = db.createObjectStore('log', {
+        keyPath: 'added', autoIncrement: true
+      })
+      log.createIndex('id', 'id', { unique: true })
+      log.createIndex('created', 'created', { unique: true })
+      log.createIndex('reasons', 'reasons', { multiEntry: true })
+      db.createObjectStore('extra', { keyPath: 'key' })
+    }
+
+    this.initing = promisify(request).then(function (db) {
+      db.onversionchange = function () {
+        db.close()
+        store.initing = undefined
+      }
+      return db
+    })
+    return this.initing
+  },
+
+  add: function add (action, meta) {
+    return transaction(this, 'readwrite', function (tx, finish) {
+      var log = tx.objectStore('log')
+      log.index('id').get(meta.id).onsuccess = function (e) {
+        if (e.target.result) {
+          finish(false)
+          return
+        }
+        var record = {
+          id: meta.id,
+          created: createdKey(meta),
+          reasons: meta.reasons || [],
+          action: action,
+          meta: meta
+        }
+        log.add(record).onsuccess = function (e2) {
+          meta.added = e2.target.result
+          tx.objectStore('extra').put({ key: 'lastAdded', added: meta.added })
+          finish(meta)
+        }
+      }
+    })
+  },
+
+  byId: function byId (id) {
+    return transaction(this, 'readonly', function (tx, finish) {
+      var log = tx.objectStore('log')
+      log.index('id').get(id).onsuccess = function (e) {
+        finish(e.target.result ? toEntry(e.target.result) : [null, null])
+      }
+    })
+  },
+
+  remove: function remove (id) {
+    return transaction(this, 'readwrite', function (tx, finish) {
+      var log = tx.objectStore('log')
+      log.index('id').get(id).onsuccess = function (e) {
+        var record = e.target.result
+        if (record) {
+          log.delete(record.added)
+          finish(toEntry(record))
+        } else {
+          finish(false)
+        }
+      }
+    })
+  },
+
+  get: function get (opts) {
+    return loadPage(this, opts)
+  },
+
+  changeMeta: function changeMeta (id, diff) {
+    return transaction(this, 'readwrite', function (tx, finish) {
+      var log = tx.objectStore('log')
+      log.index('id').get(id).onsuccess = function (e) {
+        var record = e.target.result
+        if (record) {
+          for (var key in diff) record.meta[key] = diff[key]
+          if (diff.reasons) record.reasons = diff.reasons
+          log.put(record)
+          finish(true)
+        } else {
+          finish(false)
+        }
+      }
+    })
+  },
+
+  removeReason: function removeReason (reason, criteria, callback) {
+    var removed = []
+    return transaction(this, 'readwrite', function (tx) {
+      var log = tx.objectStore('log')
+      if (criteria.id) {
+        log.index('id').get(criteria.id).onsuccess = function (e) {
+          var record = e.target.result
+          if (record && record.reasons.indexOf(reason) !== -1) {
+            removeFrom(log, record, reason, removed)
+          }
+        }
+      } else {
+        var range = IDBKeyRange.only(reason)
+        log.index('reasons').openCursor(range).onsuccess = function (e) {
+          var cursor = e.target.result
+          if (!cursor) return
+          if (isInCriteria(toEntry(cursor.value)[1], criteria)) {
+            removeFrom(log, cursor.value, reason, removed)
+          }
+          cursor.continue()
+        }
+      }
+    }).then(function () {
+      for (var i = 0; i < removed.length; i++) {
+        callback(removed[i][0], removed[i][1])
+      }
+    })
+  },
+
+  clean: function clean () {
+    var store = this
+    return this.init().then(function (db) {
+      db.close()
+      store.initing = undefined
+      return promisify(indexedDB.deleteDatabase(store.name))
+    })
+  },
+
+  saveSnapshot: function saveSnapshot (snapshot) {
+    return transaction(this, 'readwrite', function (tx) {
+      tx.objectStore('extra').put({ key: 'snapshot', snapshot: snapshot })
+    })
+  },
+
+  getSnapshot: function getSnapshot () {
+    return transaction(this, 'readonly', function (tx, finish) {
+      tx.objectStore('extra').get('snapshot').onsuccess = function (e) {
+        finish(e.target.result ? e.target.result.snapshot : null)
+      }
+    })
+  },
+
+  getScopeData: function getScopeData (scope) {
+    return transaction(this, 'readonly', function (tx, finish) {
+      tx.objectStore('extra').get('scope:' + scope).onsuccess = function (e) {
+        finish(e.target.result ? e.target.result.data : { })
+      }
+    })
+  },
+
+  setScopeData: function setScopeData (scope, values) {
+    return transaction(this, 'readwrite', function (tx) {
+      var extra = tx.objectStore('extra')
+      var key = 'scope:' + scope
+      extra.get(key).onsuccess = function (e) {
+        var data = e.target.result ? e.target.result.data : { }
+        for (var i in values) data[i] = values[i]
+        extra.put({ key: key, data: data })
+      }
+    })
+  },
+
+  getLastAdded: function getLastAdded () {
+    return transaction(this, 'readonly', function (tx, finish) {
+      tx.objectStore('extra').get('lastAdded').onsuccess = function (e) {
+        finish(e.target.result ? e.target.result.added : 0)
+      }
+    })
+  },
+
+  getLastSynced: function getLastSynced () {
+    return transaction(this, 'readonly', function (tx, finish) {
+      tx.objectStore('extra').get('lastSynced').onsuccess = function (e) {
+        var data = e.target.result || { received: 0, sent: 0 }
+        finish({ received: data.received, sent: data.sent })
+      }
+    })
+  },
+
+  setLastSynced: function setLastSynced (values) {
+    return transaction(this, 'readwrite', function (tx) {
+      var extra = tx.objectStore('extra')
+      extra.get('lastSynced').onsuccess = function (e) {
+        var data = e.target.result || {
+          key: 'lastSynced', received: 0, sent: 0
+        }
+        if (typeof values.sent !== 'undefined') {
+          data.sent = values.sent
+        }
+        if (typeof values.received !== 'undefined') {
+          data.received = values.received
+        }
+        extra.put(data)
+      }
+    })
+  }
+
+}
+
+module.exports = IndexedStore
@@ -0,0 +1,47 @@
+var isDefined = require('./store-helpers').isDefined
+
+function isTypeMatched (type, pattern) {
+  if (pattern.slice(-1) === '*') {
+    return type.indexOf(pattern.slice(0, -1)) === 0
+  } else {
+    return type === pattern
+  }
+}
+
+/**
+ * Check that log entry is matched to query criteria
+ * from {@link Log#each} and {@link Store#get}.
+ *
+ * @param {Action} action Action to check.
+ * @param {Meta} meta Action’s metadata.
+ * @param {object} criteria Query criteria.
+ *
+ * @return {boolean} Is entry matched.
+ */
+function isMatched (action, meta, criteria) {
+  var c = criteria
+  if (isDefined(c.type) && !isTypeMatched(action.type, c.type)) {
+    return false
+  }
+  if (isDefined(c.minTime) && meta.time < c.minTime) {
+    return false
+  }
+  if (isDefined(c.maxTime) && meta.time > c.maxTime) {
+    return false
+  }
+  if (isDefined(c.minAdded) && meta.added < c.minAdded) {
+    return false
+  }
+  if (isDefined(c.maxAdded) && meta.added > c.maxAdded) {
+    return false
+  }
+  if (isDefined(c.reason)) {
+    if (!meta.reasons || meta.reasons.indexOf(c.reason) === -1) return false
+  }
+  if (isDefined(c.nodeId) && meta.id.split(' ')[1] !== String(c.nodeId)) {
+    return false
+  }
+  return true
+}
+
+module.exports = isMatched
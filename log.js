@@ -1,5 +1,656 @@
 var NanoEvents = require('nanoevents')
 
+var isFirstOlder = require('./is-first-older')
+var ScopedStore = require('./scoped-store')
+var BranchStore = require('./branch-store')
+var LoguxError = require('./logux-error')
+var isMatched = require('./is-matched')
+var Cursor = require('./cursor')
+
+var MAX_TIMEOUT = 2147483647
+var SEEN = 1000
+
+function prepare (log, action, meta) {
+  if (typeof action.type === 'undefined') {
+    throw new Error('Expected "type" in action')
+  }
+
+  var newId = false
+  if (typeof meta.id === 'undefined') {
+    newId = true
+    meta.id = log.generateId()
+  }
+
+  if (typeof meta.time === 'undefined') {
+    meta.time = parseInt(meta.id)
+  }
+
+  if (typeof meta.reasons === 'undefined') {
+    meta.reasons = []
+  } else if (!Array.isArray(meta.reasons)) {
+    meta.reasons = [meta.reasons]
+  }
+
+  meta.reasons = meta.reasons.map(function (reason) {
+    if (typeof reason === 'object' && reason !== null) {
+      if (typeof reason.name !== 'string') {
+        throw new Error('Expected "name" in reason')
+      }
+      if (reason.ttl || reason.maxEntries) {
+        var policy = log.reasonPolicies[reason.name] || { }
+        log.addReasonPolicy(reason.name, {
+          ttl: reason.ttl || policy.ttl,
+          maxEntries: reason.maxEntries || policy.maxEntries
+        })
+      }
+      return reason.name
+    } else if (typeof reason !== 'string') {
+      throw new Error('Expected "reasons" to be strings')
+    }
+    return reason
+  })
+
+  if (typeof meta.after === 'string') meta.after = [meta.after]
+
+  log.emitter.emit('preadd', action, meta)
+
+  if (isKeyed(meta.keepLast) && typeof meta.keepLast.reason !== 'string') {
+    throw new Error('Expected "reason" in keepLast')
+  }
+  return newId
+}
+
+function keepLast (log, meta) {
+  log.removeReason(meta.keepLast, { olderThan: meta })
+  addReasons(meta, [meta.keepLast])
+}
+
+function isKeyed (keep) {
+  return typeof keep === 'object' && keep !== null
+}
+
+function isSameKey (meta, keep) {
+  return isKeyed(meta.keepLast) &&
+    meta.keepLast.reason === keep.reason &&
+    meta.keepLast.key === keep.key &&
+    meta.reasons.indexOf(keep.reason) !== -1
+}
+
+function keepLastByKey (log, meta, pending) {
+  var keep = meta.keepLast
+  var newer = false
+  var older = []
+  pending.forEach(function (other) {
+    if (!isSameKey(other, keep)) return
+    if (isFirstOlder(other, meta)) {
+      other.reasons.splice(other.reasons.indexOf(keep.reason), 1)
+    } else {
+      newer = true
+    }
+  })
+  return log.each({ reason: keep.reason }, function (action, other) {
+    if (!isSameKey(other, keep) || other.id === meta.id) return
+    if (isFirstOlder(other, meta)) {
+      older.push(other.id)
+    } else {
+      newer = true
+    }
+  }).then(function () {
+    if (!newer) addReasons(meta, [keep.reason])
+    return older
+  })
+}
+
+function removeOlder (log, reason, ids) {
+  return Promise.all(ids.map(function (id) {
+    return log.removeReason(reason, { id: id })
+  }))
+}
+
+function queueKeyed (log, callback) {
+  var result = log.keyedQueue.then(callback)
+  log.keyedQueue = result.catch(function () { })
+  return result
+}
+
+function remember (log, id) {
+  if (log.seen[id]) return
+  log.seen[id] = true
+  log.seenOrder.push(id)
+  if (log.seenOrder.length > SEEN) delete log.seen[log.seenOrder.shift()]
+}
+
+function emitAdd (log, action, meta) {
+  remember(log, meta.id)
+  log.emitter.emit('add', action, meta)
+  var waiting = log.waiting[meta.id]
+  if (waiting) {
+    waiting.slice(0).forEach(function (entry) {
+      release(log, meta.id, entry)
+    })
+  }
+}
+
+function emitClean (log, entry) {
+  if (entry) log.cleanEmitter.emit('clean', entry[0], entry[1])
+}
+
+function emitWithoutReasons (log, action, meta) {
+  emitAdd(log, action, meta)
+  log.emitter.emit('clean', action, meta)
+}
+
+function isExpired (meta) {
+  return typeof meta.expires !== 'undefined' && meta.expires <= Date.now()
+}
+
+function scheduleExpiry (log, expires) {
+  if (log.nextExpiry && log.nextExpiry <= expires) return
+  clearTimeout(log.expiryTimer)
+  log.nextExpiry = expires
+  var wait = Math.min(Math.max(expires - Date.now(), 0), MAX_TIMEOUT)
+  log.expiryTimer = setTimeout(function () {
+    log.nextExpiry = undefined
+    log.removeExpired()
+  }, wait)
+  if (log.expiryTimer.unref) log.expiryTimer.unref()
+}
+
+function scheduleTtl (log, time) {
+  if (log.nextTtl && log.nextTtl <= time) return
+  clearTimeout(log.ttlTimer)
+  log.nextTtl = time
+  var wait = Math.min(Math.max(time - Date.now(), 0), MAX_TIMEOUT)
+  log.ttlTimer = setTimeout(function () {
+    log.nextTtl = undefined
+    log.cleanReasons()
+  }, wait)
+  if (log.ttlTimer.unref) log.ttlTimer.unref()
+}
+
+function scheduleReasons (log, meta) {
+  for (var i = 0; i < meta.reasons.length; i++) {
+    var policy = log.reasonPolicies[meta.reasons[i]]
+    if (policy && policy.ttl) scheduleTtl(log, meta.time + policy.ttl)
+  }
+}
+
+function isKept (meta) {
+  return meta.reasons.length > 0 && !isExpired(meta)
+}
+
+function save (log, action, meta, newId) {
+  if (!isKept(meta) && newId) {
+    emitWithoutReasons(log, action, meta)
+    return Promise.resolve(meta)
+  } else if (!isKept(meta)) {
+    return log.store.byId(meta.id).then(function (result) {
+      if (result[0]) {
+        return false
+      } else {
+        emitWithoutReasons(log, action, meta)
+        return meta
+      }
+    })
+  } else {
+    return log.store.add(action, meta).then(function (addedMeta) {
+      if (addedMeta === false) {
+        return false
+      } else {
+        emitAdd(log, action, addedMeta)
+        if (addedMeta.expires) scheduleExpiry(log, addedMeta.expires)
+        scheduleReasons(log, addedMeta)
+        return cleanReasonsBy(log, addedMeta.reasons).then(function () {
+          return addedMeta
+        })
+      }
+    })
+  }
+}
+
+function cleanReason (log, reason) {
+  var policy = log.reasonPolicies[reason]
+  var cleaning = Promise.resolve()
+  if (policy.ttl) {
+    var time = Date.now() - policy.ttl
+    cleaning = log.removeReason(reason, { olderThan: { id: '', time: time } })
+  }
+  if (!policy.maxEntries) return cleaning
+
+  var count = 0
+  var limit
+  return cleaning.then(function () {
+    return log.each({ order: 'created', reason: reason }, function (a, meta) {
+      count += 1
+      if (count === policy.maxEntries) {
+        limit = meta
+        return false
+      }
+      return true
+    })
+  }).then(function () {
+    if (limit) return log.removeReason(reason, { olderThan: limit })
+    return undefined
+  })
+}
+
+function findTtlEnd (log, reason) {
+  var ttl = log.reasonPolicies[reason].ttl
+  if (!ttl) return Promise.resolve()
+  var oldest
+  return log.each({ order: 'created', reason: reason }, function (a, meta) {
+    oldest = meta
+  }).then(function () {
+    if (oldest) scheduleTtl(log, oldest.time + ttl)
+  })
+}
+
+function cleanReasonsBy (log, reasons) {
+  return Promise.all(reasons.filter(function (reason, index) {
+    return log.reasonPolicies[reason] && reasons.indexOf(reason) === index
+  }).map(function (reason) {
+    return cleanReason(log, reason)
+  }))
+}
+
+function findUndone (log, action) {
+  if (action.type === 'logux/undo') {
+    return log.store.byId(action.id)
+  } else {
+    return Promise.resolve([null, null])
+  }
+}
+
+function removeUndone (log, undone) {
+  return log.store.remove(undone[1].id).then(function (entry) {
+    emitClean(log, entry)
+  })
+}
+
+function addReasons (meta, reasons) {
+  reasons.forEach(function (reason) {
+    if (meta.reasons.indexOf(reason) === -1) meta.reasons.push(reason)
+  })
+}
+
+function copyReasons (undone, meta) {
+  if (undone[0]) addReasons(meta, undone[1].reasons)
+}
+
+function rememberUndo (log, action, meta, undone) {
+  if (action.type !== 'logux/undo' || undone[0] || log.seen[action.id]) return
+  log.undone[action.id] = [action, meta]
+}
+
+function takeUndo (log, meta) {
+  var undo = log.undone[meta.id]
+  if (!undo) return Promise.resolve([null, null])
+  delete log.undone[meta.id]
+  var reasons = meta.reasons
+  meta.reasons = []
+  return log.store.byId(undo[1].id).then(function (entry) {
+    if (!entry[0]) return undo
+    var changed = { reasons: entry[1].reasons.slice(0) }
+    addReasons(changed, reasons)
+    return log.store.changeMeta(undo[1].id, changed).then(function () {
+      return undo
+    })
+  })
+}
+
+function queryOpts (filter) {
+  var opts = { }
+  for (var key in filter) opts[key] = filter[key]
+  if (!opts.order) opts.order = 'created'
+  return opts
+}
+
+function mergeMeta (meta, changes) {
+  var result = { }
+  for (var key in meta) result[key] = meta[key]
+  for (var i in changes) result[i] = changes[i]
+  return result
+}
+
+function runMiddlewares (log, action, meta, last) {
+  var middlewares = log.middlewares.slice(0)
+  function call (index, currentAction, currentMeta) {
+    if (index === middlewares.length) {
+      return last(currentAction, currentMeta)
+    }
+    var passed = false
+    var result
+    return Promise.resolve().then(function () {
+      return middlewares[index](currentAction, currentMeta, function (a, m) {
+        passed = true
+        var nextMeta = m ? mergeMeta(currentMeta, m) : currentMeta
+        result = call(index + 1, a || currentAction, nextMeta)
+        return result
+      })
+    }).then(function () {
+      if (!passed) {
+        throw new LoguxError('rejected', { action: currentAction })
+      }
+      return result
+    }, function (e) {
+      if (passed || e.name === 'LoguxError') throw e
+      throw new LoguxError('rejected', { action: currentAction, error: e })
+    })
+  }
+  return call(0, action, meta)
+}
+
+function forgetWaiting (log, id, entry) {
+  delete entry.missing[id]
+  var waiting = log.waiting[id].filter(function (i) {
+    return i !== entry
+  })
+  if (waiting.length === 0) {
+    delete log.waiting[id]
+  } else {
+    log.waiting[id] = waiting
+  }
+}
+
+function release (log, id, entry) {
+  if (!entry.missing[id]) return
+  forgetWaiting(log, id, entry)
+  if (Object.keys(entry.missing).length === 0) entry.ready()
+}
+
+function waitAfter (log, action, meta, newId) {
+  return new Promise(function (resolve, reject) {
+    var entry = { missing: { } }
+    entry.ready = function () {
+      clearTimeout(entry.timeout)
+      addReady(log, action, meta, newId).then(resolve, reject)
+    }
+
+    meta.after.forEach(function (id) {
+      if (entry.missing[id] || log.seen[id]) return
+      entry.missing[id] = true
+      if (!log.waiting[id]) log.waiting[id] = []
+      log.waiting[id].push(entry)
+    })
+    var ids = Object.keys(entry.missing)
+    if (ids.length === 0) {
+      entry.ready()
+      return
+    }
+
+    if (log.afterTimeout) {
+      entry.timeout = setTimeout(function () {
+        var missing = Object.keys(entry.missing)
+        missing.forEach(function (id) {
+          forgetWaiting(log, id, entry)
+        })
+        log.emitter.emit('missing', action, meta, missing)
+        resolve(false)
+      }, log.afterTimeout)
+    }
+
+    ids.forEach(function (id) {
+      log.store.byId(id).then(function (found) {
+        if (found[0]) release(log, id, entry)
+      }).catch(reject)
+    })
+  })
+}
+
+function addPrepared (log, action, meta, newId) {
+  if (meta.after && meta.after.length > 0) {
+    return waitAfter(log, action, meta, newId)
+  }
+  return addReady(log, action, meta, newId)
+}
+
+function addReady (log, action, meta, newId) {
+  if (isKeyed(meta.keepLast)) {
+    return queueKeyed(log, function () {
+      var older
+      return keepLastByKey(log, meta, []).then(function (ids) {
+        older = ids
+        return addToStore(log, action, meta, newId)
+      }).then(function (result) {
+        return removeOlder(log, meta.keepLast.reason, older).then(function () {
+          return result
+        })
+      })
+    })
+  }
+  if (meta.keepLast) keepLast(log, meta)
+  return addToStore(log, action, meta, newId)
+}
+
+function addToStore (log, action, meta, newId) {
+  if (log.undone[meta.id]) {
+    return takeUndo(log, meta).then(function (undo) {
+      return save(log, action, meta, newId).then(function (result) {
+        if (result) log.emitter.emit('undo', action, result, undo[0], undo[1])
+        return result
+      })
+    })
+  }
+  if (action.type !== 'logux/undo') {
+    return save(log, action, meta, newId)
+  }
+
+  return findUndone(log, action).then(function (undone) {
+    copyReasons(undone, meta)
+    return save(log, action, meta, newId).then(function (result) {
+      if (!result) return result
+      rememberUndo(log, action, result, undone)
+      if (!undone[0]) return result
+      log.emitter.emit('undo', undone[0], undone[1], action, result)
+      return removeUndone(log, undone).then(function () {
+        return result
+      })
+    })
+  })
+}
+
+function addBatchAfter (log, batch) {
+  var ready = []
+  var waiting = batch.map(function (entry) {
+    var meta = entry[1]
+    if (meta.after && meta.after.length > 0) {
+      return waitAfter(log, entry[0], meta, entry[2])
+    } else {
+      ready.push(entry)
+      return null
+    }
+  })
+  if (ready.length === batch.length) return addPreparedBatch(log, batch)
+
+  return addPreparedBatch(log, ready).then(function (added) {
+    var last = 0
+    return Promise.all(waiting.map(function (promise) {
+      if (promise) return promise
+      last += 1
+      return added[last - 1]
+    }))
+  })
+}
+
+function addPreparedBatch (log, batch) {
+  var keyed = []
+  var cleaning = []
+  batch.forEach(function (entry, index) {
+    var meta = entry[1]
+    if (isKeyed(meta.keepLast)) keyed.push(meta)
+    if (!meta.keepLast || isKeyed(meta.keepLast)) return
+    for (var i = 0; i < index; i++) {
+      var other = batch[i][1]
+      var pos = other.reasons.indexOf(meta.keepLast)
+      if (pos !== -1 && isFirstOlder(other, meta)) {
+        other.reasons.splice(pos, 1)
+      }
+    }
+    addReasons(meta, [meta.keepLast])
+    cleaning.push(function () {
+      return log.removeReason(meta.keepLast, { olderThan: meta })
+    })
+  })
+
+  if (keyed.length === 0) return saveAndClean(log, batch, cleaning)
+  return queueKeyed(log, function () {
+    return keyed.reduce(function (prev, meta, index) {
+      return prev.then(function () {
+        var pending = keyed.slice(0, index)
+        return keepLastByKey(log, meta, pending).then(function (older) {
+          cleaning.push(function () {
+            return removeOlder(log, meta.keepLast.reason, older)
+          })
+        })
+      })
+    }, Promise.resolve()).then(function () {
+      return saveAndClean(log, batch, cleaning)
+    })
+  })
+}
+
+function saveAndClean (log, batch, cleaning) {
+  return saveBatch(log, batch).then(function (results) {
+    return Promise.all(cleaning.map(function (clean) {
+      return clean()
+    })).then(function () {
+      return results
+    })
+  })
+}
+
+function saveBatch (log, batch) {
+  var undo
+  return Promise.all(batch.map(function (entry) {
+    return takeUndo(log, entry[1])
+  })).then(function (result) {
+    undo = result
+    return Promise.all(batch.map(function (entry) {
+      return findUndone(log, entry[0])
+    }))
+  }).then(function (undone) {
+    var saved = []
+    var checks = batch.map(function (entry, index) {
+      var meta = entry[1]
+      copyReasons(undone[index], meta)
+      entry[3] = isKept(meta)
+      if (entry[3]) {
+        saved.push([entry[0], meta])
+        return [null, null]
+      } else if (entry[2]) {
+        return [null, null]
+      } else {
+        return log.store.byId(meta.id)
+      }
+    })
+
+    var saving
+    if (log.store.addBatch) {
+      saving = log.store.addBatch(saved)
+    } else {
+      saving = saved.reduce(function (prev, entry) {
+        return prev.then(function (metas) {
+          return log.store.add(entry[0], entry[1]).then(function (meta) {
+            return metas.concat([meta])
+          })
+        })
+      }, Promise.resolve([]))
+    }
+    return Promise.all([saving, Promise.all(checks), undone])
+  }).then(function (result) {
+    var metas = result[0]
+    var found = result[1]
+    var undone = result[2]
+    var last = 0
+    var reasons = []
+    var removing = []
+    var results = batch.map(function (entry, index) {
+      var action = entry[0]
+      var meta = entry[1]
+      if (undo[index][0] && !found[index][0]) {
+        emitWithoutReasons(log, action, meta)
+        log.emitter.emit('undo', action, meta, undo[index][0], undo[index][1])
+        return meta
+      } else if (entry[3]) {
+        var addedMeta = metas[last]
+        last += 1
+        if (addedMeta === false) return false
+        reasons = reasons.concat(addedMeta.reasons)
+        emitAdd(log, action, addedMeta)
+        if (addedMeta.expires) scheduleExpiry(log, addedMeta.expires)
+        scheduleReasons(log, addedMeta)
+        if (undone[index][0]) {
+          log.emitter.emit(
+            'undo', undone[index][0], undone[index][1], action, addedMeta
+          )
+          removing.push(removeUndone(log, undone[index]))
+        }
+        return addedMeta
+      } else if (found[index][0]) {
+        return false
+      } else {
+        emitWithoutReasons(log, action, meta)
+        return meta
+      }
+    })
+    results.forEach(function (added, index) {
+      if (added) rememberUndo(log, batch[index][0], added, undone[index])
+    })
+    return Promise.all(removing).then(function () {
+      return cleanReasonsBy(log, reasons)
+    }).then(function () {
+      return results
+    })
+  })
+}
+
+function writeLines (stream, lines) {
+  return lines.reduce(function (prev, line) {
+    return prev.then(function () {
+      if (stream.write(line + '\n')) return undefined
+      return new Promise(function (resolve) {
+        stream.once('drain', resolve)
+      })
+    })
+  }, Promise.resolve())
+}
+
+function findPages (page, pages) {
+  if (!page.next) return Promise.resolve(pages)
+  pages.push(page.next)
+  return page.next().then(function (next) {
+    return findPages(next, pages)
+  })
+}
+
+function writeEntries (stream, entries) {
+  return writeLines(stream, entries.map(function (entry) {
+    return JSON.stringify(entry)
+  }))
+}
+
+function writePages (stream, pages, newest) {
+  var get = pages.pop()
+  if (!get) return writeEntries(stream, newest)
+  return get().then(function (page) {
+    return writeEntries(stream, page.entries)
+  }).then(function () {
+    return writePages(stream, pages, newest)
+  })
+}
+
+function emitByType (index, action, meta) {
+  var listeners = index.exact[action.type] || []
+  for (var prefix in index.prefix) {
+    if (action.type.indexOf(prefix) === 0) {
+      listeners = listeners.concat(index.prefix[prefix])
+    }
+  }
+  for (var i = 0; i < listeners.length; i++) {
+    listeners[i](action, meta)
+  }
+}
+
 /**
  * Stores actions with time marks. Log is main idea in Logux.
  * In most end-user tools you will work with log and should know log API.
@@ -7,6 +658,13 @@ var NanoEvents = require('nanoevents')
  * @param {object} opts Options.
  * @param {Store} opts.store Store for log.
  * @param {string|number} opts.nodeId Unique current machine name.
+ * @param {boolean} [opts.hybridClock=false] Use hybrid logical clock
+ *                                           for action IDs.
+ *                                           See {@link Log#updateClock}.
+ * @param {number} [opts.afterTimeout=0] How long action could wait
+ *                                       for actions from `meta.after`
+ *                                       in milliseconds. Log will wait
+ *                                       forever by default.
  *
  * @example
  * import Log from 'logux-core/log'
@@ -41,10 +699,21 @@ function Log (opts) {
 
   this.lastTime = 0
   this.sequence = 0
+  this.hybridClock = !!opts.hybridClock
+  this.reasonPolicies = { }
+  this.middlewares = []
+  this.keyedQueue = Promise.resolve()
+  this.typeIndex = { }
+  this.afterTimeout = opts.afterTimeout || 0
+  this.waiting = { }
+  this.seen = { }
+  this.seenOrder = []
+  this.undone = { }
 
   this.store = opts.store
 
   this.emitter = new NanoEvents()
+  this.cleanEmitter = this.emitter
 }
 
 Log.prototype = {
@@ -56,8 +725,14 @@ Log.prototype = {
    *   It fires before ID check. The best place to add reason.
    * * `add`: when new action was added to log.
    * * `clean`: when action was cleaned from store.
+   * * `undo`: when action was undone by `logux/undo` action.
+   *   Listener will receive undone action and its metadata
+   *   and then `logux/undo` action and its metadata.
+   * * `missing`: when action was not added, because actions
+   *   from `meta.after` were not added during `afterTimeout`.
+   *   Listener will receive action, its metadata and array of missed IDs.
    *
-   * @param {"preadd"|"add"|"clean"} event The event name.
+   * @param {"preadd"|"add"|"clean"|"undo"|"missing"} event The event name.
    * @param {listener} listener The listener function.
    *
    * @return {function} Unbind listener from event.
@@ -74,6 +749,95 @@ Log.prototype = {
     return this.emitter.on(event, listener)
   },
 
+  /**
+   * Subscribe for log events only for actions with specific type.
+   *
+   * Listeners are stored in type index. So log will not call
+   * all listeners on every action.
+   *
+   * @param {string} actionType Action’s type. Use `users/*` to listen
+   *                            all actions with `users/` prefix.
+   * @param {listener} listener The listener function.
+   * @param {object} [opts] Options.
+   * @param {"preadd"|"add"|"clean"} [opts.event='add'] The event name.
+   *
+   * @return {function} Unbind listener from event.
+   *
+   * @example
+   * log.type('users/rename', (action, meta) => {
+   *   renameUser(action.user, action.name)
+   * })
+   * log.type('users/*', action => {
+   *   console.log('User action ' + action.type + ' was cleaned')
+   * }, { event: 'clean' })
+   */
+  type: function type (actionType, listener, opts) {
+    var event = opts && opts.event ? opts.event : 'add'
+    var index = this.typeIndex[event]
+    if (!index) {
+      index = { exact: { }, prefix: { } }
+      this.typeIndex[event] = index
+      this.emitter.on(event, function (action, meta) {
+        emitByType(index, action, meta)
+      })
+    }
+
+    var group = index.exact
+    var key = actionType
+    if (actionType.slice(-1) === '*') {
+      group = index.prefix
+      key = actionType.slice(0, -1)
+    }
+    if (!group[key]) group[key] = []
+    group[key].push(listener)
+
+    return function () {
+      if (!group[key]) return
+      var listeners = group[key].filter(function (i) {
+        return i !== listener
+      })
+      if (listeners.length === 0) {
+        delete group[key]
+      } else {
+        group[key] = listeners
+      }
+    }
+  },
+
+  /**
+   * Add middleware for new actions. Middlewares will be called one by one
+   * after `preadd` event and before saving action to store.
+   *
+   * Middleware receives action, metadata with `id`, `time` and `reasons`
+   * and `next` function. Call `next()` to pass action to next middleware
+   * or `next(newAction, newMeta)` to replace action. Keys missed
+   * in `newMeta` will be taken from current metadata. `next` returns
+   * the same Promise as {@link Log#add}.
+   *
+   * If middleware will not call `next` or will throw an error before it,
+   * action will not be added and {@link Log#add} will be rejected
+   * by {@link LoguxError} with `rejected` type.
+   *
+   * @param {middleware} middleware The middleware function.
+   *
+   * @return {function} Remove middleware.
+   *
+   * @example
+   * log.use(async (action, meta, next) => {
+   *   if (await isAllowed(action)) {
+   *     await next({ ...action, checked: true }, meta)
+   *   }
+   * })
+   */
+  use: function use (middleware) {
+    var middlewares = this.middlewares
+    middlewares.push(middleware)
+    return function () {
+      var index = middlewares.indexOf(middleware)
+      if (index !== -1) middlewares.splice(index, 1)
+    }
+  },
+
   /**
    * Add action to log.
    *
@@ -85,81 +849,174 @@ Log.prototype = {
    * @param {string} [meta.id] Unique action ID.
    * @param {number} [meta.time] Action created time.
    *                             Milliseconds since UNIX epoch.
-   * @param {string[]} [meta.reasons] Why action should be kept in log.
-   *                                  Action without reasons will be removed.
-   * @param {string} [meta.keepLast] Set code as reason and remove this reasons
-   *                                 from previous actions.
+   * @param {Array<string|object>} [meta.reasons] Why action should be kept
+   *                                              in log. Action without
+   *                                              reasons will be removed.
+   *                                              Use `{ name, ttl }`
+   *                                              or `{ name, maxEntries }`
+   *                                              object to set reason’s
+   *                                              policy like in
+   *                                              `addReasonPolicy`.
+   *                                              It redefines shared policy
+   *                                              for all actions
+   *                                              with this reason.
+   * @param {string|object} [meta.keepLast] Set code as reason and remove
+   *                                        this reasons from previous actions.
+   *                                        Use `{ reason, key }` object
+   *                                        to keep reason only for the newest
+   *                                        action with the same `key`.
+   *                                        Older action will not get
+   *                                        the reason.
+   * @param {string|string[]} [meta.after] IDs of actions, which should be
+   *                                      added before this action. Log will
+   *                                      keep action in pending area
+   *                                      until all these actions will be added.
+   *                                      Last 1000 actions processed by log
+   *                                      count as added even if they were
+   *                                      cleaned or had no reasons.
+   * @param {number} [meta.expires] Time in milliseconds since UNIX epoch,
+   *                                 when action will be removed from log.
    * @return {Promise<Meta|fale>} Promise with `meta` if action was added
-   *                              to log or `false` if action was already in log
+   *                              to log or `false` if action was already
+   *                              in log or actions from `meta.after`
+   *                              were missed. It will be rejected
+   *                              by {@link LoguxError} if middleware
+   *                              rejected action.
+   *
+   * `logux/undo` action with `id` of other action will take all reasons
+   * of undone action and emit `undo` event. Undone action will be removed
+   * from log with `clean` event. If undone action will be added after
+   * `logux/undo`, it will not be kept in log and will emit `undo` event
+   * too.
    *
    * @example
    * removeButton.addEventListener('click', () => {
    *   log.add({ type: 'users:remove', user: id })
    * })
+   *
+   * @example
+   * log.add({ type: 'users/move', userId, position }, {
+   *   keepLast: { reason: 'position', key: userId }
+   * })
    */
   add: function add (action, meta) {
-    if (typeof action.type === 'undefined') {
-      throw new Error('Expected "type" in action')
-    }
-
     if (!meta) meta = { }
-
-    var newId = false
-    if (typeof meta.id === 'undefined') {
-      newId = true
-      meta.id = this.generateId()
+    var newId = prepare(this, action, meta)
+    if (this.middlewares.length === 0) {
+      return addPrepared(this, action, meta, newId)
     }
 
-    if (typeof meta.time === 'undefined') {
-      meta.time = parseInt(meta.id)
-    }
-
-    if (typeof meta.reasons === 'undefined') {
-      meta.reasons = []
-    } else if (!Array.isArray(meta.reasons)) {
-      meta.reasons = [meta.reasons]
-    }
-
-    meta.reasons.forEach(function (reason) {
-      if (typeof reason !== 'string') {
-        throw new Error('Expected "reasons" to be strings')
-      }
+    var log = this
+    return runMiddlewares(this, action, meta, function (changed, changedMeta) {
+      return addPrepared(log, changed, changedMeta, newId)
     })
+  },
 
+  /**
+   * Add several actions to log at once.
+   *
+   * It calls `preadd` listeners and sets `id`, `time` and `reasons`
+   * for every action before saving any of them. So if listener will throw
+   * an error, none of actions will be added. The same is true for actions
+   * rejected by middleware from {@link Log#use}. Actions will be saved
+   * by {@link Store#addBatch} together or one by one if store
+   * does not support it. `add` event will be emitted after all actions
+   * were saved.
+   *
+   * @param {Entry[]} entries Array of actions with optional metadata.
+   *
+   * @return {Promise<Array<Meta|false>>} Promise with array of `meta`
+   *                                      for added actions and `false`
+   *                                      for actions which were already in log.
+   *
+   * @example
+   * log.addBatch([
+   *   [{ type: 'users/add', user }, { reasons: ['user'] }],
+   *   [{ type: 'groups/join', user: user.id, group }, { reasons: ['user'] }]
+   * ])
+   */
+  addBatch: function addBatch (entries) {
     var log = this
-    this.emitter.emit('preadd', action, meta)
+    var batch = entries.map(function (entry) {
+      var meta = entry[1] || { }
+      return [entry[0], meta, prepare(log, entry[0], meta)]
+    })
 
-    if (meta.keepLast) {
-      this.removeReason(meta.keepLast, { olderThan: meta })
-      meta.reasons.push(meta.keepLast)
-    }
+    if (this.middlewares.length === 0) return addBatchAfter(this, batch)
 
-    if (meta.reasons.length === 0 && newId) {
-      this.emitter.emit('add', action, meta)
-      this.emitter.emit('clean', action, meta)
-      return Promise.resolve(meta)
-    } else if (meta.reasons.length === 0) {
-      return this.store.byId(meta.id).then(function (result) {
-        if (result[0]) {
-          return false
-        } else {
-          log.emitter.emit('add', action, meta)
-          log.emitter.emit('clean', action, meta)
-          return meta
-        }
-      })
-    } else {
-      return this.store.add(action, meta).then(function (addedMeta) {
-        if (addedMeta === false) {
-          return false
-        } else {
-          log.emitter.emit('add', action, addedMeta)
-          return addedMeta
-        }
+    var chains = []
+    var ready = Promise.all(batch.map(function (entry, index) {
+      return new Promise(function (resolve, reject) {
+        var chain = runMiddlewares(log, entry[0], entry[1], function (a, m) {
+          resolve([a, m, entry[2]])
+          return done.then(function (results) {
+            return results[index]
+          })
+        })
+        chain.catch(reject)
+        chains.push(chain)
       })
+    }))
+    var done = ready.then(function (prepared) {
+      return addBatchAfter(log, prepared)
+    })
+    return Promise.all([done].concat(chains)).then(function (results) {
+      return results[0]
+    })
+  },
+
+  /**
+   * Set rules to remove reason automatically.
+   *
+   * Log will remove reason from actions older than `ttl` milliseconds
+   * by `meta.time` and from all actions except the last `maxEntries` actions
+   * with this reason. Log checks reason’s policy after adding
+   * every action with this reason and by timer, when `ttl` of added action
+   * ends. Call {@link Log#cleanReasons} on start to check policies
+   * for actions from persistent store.
+   *
+   * Options are shared by all actions with this reason. Inline policy
+   * in `meta.reasons` of {@link Log#add} calls this method too.
+   *
+   * @param {string} reason Reason’s name.
+   * @param {object} opts Reason’s policy.
+   * @param {number} [opts.ttl] Time to live for reason in milliseconds.
+   * @param {number} [opts.maxEntries] Maximum number of actions
+   *                                   with this reason.
+   *
+   * @return {undefined}
+   *
+   * @example
+   * log.addReasonPolicy('cache', { ttl: 60000, maxEntries: 100 })
+   * log.add(action, { reasons: ['cache'] })
+   */
+  addReasonPolicy: function addReasonPolicy (reason, opts) {
+    this.reasonPolicies[reason] = {
+      ttl: opts.ttl,
+      maxEntries: opts.maxEntries
     }
   },
 
+  /**
+   * Remove reasons by policies from {@link Log#addReasonPolicy}
+   * and set timer for the nearest `ttl` end.
+   *
+   * @return {Promise} Promise when cleaning will be finished.
+   *
+   * @example
+   * log.addReasonPolicy('cache', { ttl: 60000 })
+   * await log.cleanReasons()
+   */
+  cleanReasons: function cleanReasons () {
+    var log = this
+    var reasons = Object.keys(this.reasonPolicies)
+    return cleanReasonsBy(this, reasons).then(function () {
+      return Promise.all(reasons.map(function (reason) {
+        return findTtlEnd(log, reason)
+      }))
+    })
+  },
+
   /**
    * Generate next unique action ID.
    *
@@ -180,19 +1037,58 @@ Log.prototype = {
     return now + ' ' + this.nodeId + ' ' + this.sequence
   },
 
+  /**
+   * Move hybrid logical clock forward by ID of action from other node.
+   * Next generated ID will be bigger than this ID, even if current machine
+   * has wrong clock. ID will keep `"<ms> <nodeId> <sequence>"` format.
+   *
+   * {@link BaseNode} calls it on every received action.
+   * It does nothing if `hybridClock` option was not set.
+   *
+   * @param {string} id Action ID from other node.
+   *
+   * @return {undefined}
+   *
+   * @example
+   * log.updateClock(meta.id)
+   */
+  updateClock: function updateClock (id) {
+    if (!this.hybridClock) return
+    var time = parseInt(id)
+    if (time >= this.lastTime) {
+      // Node ID could be lower than remote one, so we need next millisecond
+      this.lastTime = time + 1
+      this.sequence = -1
+    }
+  },
+
   /**
    * Iterates through all actions, from last to first.
    *
    * Return false from callback if you want to stop iteration.
    *
+   * Criteria options will be sent to {@link Store#get}. If store does not
+   * support them, log will filter entries by itself.
+   *
    * @param {object} [opts] Iterator options.
    * @param {'added'|'created'} [opts.order='created'] Sort entries by created
    *                                                   time or when they was
    *                                                   added to this log.
+   * @param {string} [opts.type] Iterate only actions with this type.
+   *                             Use `users/*` to iterate all types
+   *                             with `users/` prefix.
+   * @param {number} [opts.minTime] Iterate only actions with bigger `time`.
+   * @param {number} [opts.maxTime] Iterate only actions with lower `time`.
+   * @param {number} [opts.minAdded] Iterate only actions with bigger `added`.
+   * @param {number} [opts.maxAdded] Iterate only actions with lower `added`.
+   * @param {string} [opts.reason] Iterate only actions with this reason.
+   * @param {string|number} [opts.nodeId] Iterate only actions created
+   *                                      by this node.
    * @param {iterator} callback Function will be executed on every action.
    *
    * @return {Promise} When iteration will be finished
    *                   by iterator or end of actions.
+   *                   It will be rejected on store error.
    *
    * @example
    * log.each((action, meta) => {
@@ -204,20 +1100,27 @@ Log.prototype = {
    *     return false;
    *   }
    * })
+   *
+   * @example
+   * log.each({ type: 'users/*', reason: 'users', minTime: start }, action => {
+   *   users.push(action)
+   * })
    */
   each: function each (opts, callback) {
     if (!callback) {
       callback = opts
-      opts = { order: 'created' }
+      opts = { }
     }
+    opts = queryOpts(opts)
 
     var store = this.store
-    return new Promise(function (resolve) {
+    return new Promise(function (resolve, reject) {
       function nextPage (get) {
         get().then(function (page) {
           var result
           for (var i = page.entries.length - 1; i >= 0; i--) {
             var entry = page.entries[i]
+            if (!isMatched(entry[0], entry[1], opts)) continue
             result = callback(entry[0], entry[1])
             if (result === false) break
           }
@@ -227,13 +1130,86 @@ Log.prototype = {
           } else {
             nextPage(page.next)
           }
-        })
+        }).catch(reject)
       }
 
       nextPage(store.get.bind(store, opts))
     })
   },
 
+  /**
+   * Create async iterator through actions, from last to first.
+   *
+   * It loads pages from store only on demand. Store errors will reject
+   * iterator’s `next()` call. Break from the loop to stop loading pages.
+   *
+   * @param {object} [filter] Iterator options. It supports the same
+   *                          order and criteria options as {@link Log#each}.
+   * @param {'added'|'created'} [filter.order='created'] Sort entries
+   *                                                     by created time
+   *                                                     or when they was
+   *                                                     added to this log.
+   *
+   * @return {AsyncIterator<Entry>} Iterator with action and metadata.
+   *
+   * @example
+   * for await (const [action, meta] of log.iterate({ order: 'added' })) {
+   *   if (meta.added <= lastSynced) break
+   *   send(action, meta)
+   * }
+   */
+  iterate: function iterate (filter) {
+    var opts = queryOpts(filter)
+
+    var store = this.store
+    var finished = false
+    var index = -1
+    var page
+
+    function finish () {
+      finished = true
+      page = undefined
+      index = -1
+      return { done: true, value: undefined }
+    }
+
+    function next () {
+      if (finished) return Promise.resolve(finish())
+      while (index >= 0) {
+        var entry = page.entries[index]
+        index -= 1
+        if (isMatched(entry[0], entry[1], opts)) {
+          return Promise.resolve({ done: false, value: [entry[0], entry[1]] })
+        }
+      }
+      if (page && !page.next) return Promise.resolve(finish())
+
+      var request = page ? page.next() : store.get(opts)
+      return request.then(function (loaded) {
+        if (finished) return finish()
+        page = loaded
+        index = loaded.entries.length - 1
+        return next()
+      }, function (e) {
+        finish()
+        throw e
+      })
+    }
+
+    var iterator = {
+      next: next,
+      return: function () {
+        return Promise.resolve(finish())
+      }
+    }
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+      iterator[Symbol.asyncIterator] = function () {
+        return iterator
+      }
+    }
+    return iterator
+  },
+
   /**
    * Change action metadata. You will remove action by setting `reasons: []`.
    *
@@ -300,6 +1276,236 @@ Log.prototype = {
     })
   },
 
+  /**
+   * Remove actions with `meta.expires` in the past from log
+   * with `clean` event.
+   *
+   * Log calls it automatically on the nearest `meta.expires`
+   * of added actions. Call it manually on start to clean actions
+   * from persistent store.
+   *
+   * @return {Promise} Promise when cleaning will be finished.
+   *
+   * @example
+   * log.add({ type: 'notify', text }, {
+   *   reasons: ['notify'],
+   *   expires: Date.now() + 60000
+   * })
+   */
+  removeExpired: function removeExpired () {
+    var log = this
+    var now = Date.now()
+    var expired = []
+    var next
+    return this.each({ order: 'added' }, function (action, meta) {
+      if (typeof meta.expires === 'undefined') return
+      if (meta.expires <= now) {
+        expired.push(meta.id)
+      } else if (!next || meta.expires < next) {
+        next = meta.expires
+      }
+    }).then(function () {
+      if (next) scheduleExpiry(log, next)
+      return Promise.all(expired.map(function (id) {
+        return log.store.remove(id).then(function (entry) {
+          emitClean(log, entry)
+        })
+      }))
+    })
+  },
+
+  /**
+   * Save reduced state of log actions and remove these actions from log.
+   *
+   * Snapshot will be saved by {@link Store#saveSnapshot}. Then all actions
+   * with `added` lower or equal to `added` argument will be removed
+   * with `clean` event. Remote nodes, which did not received these actions,
+   * will get `logux/snapshot` action with `state` on synchronization.
+   *
+   * @param {number} added The `added` of the latest action in snapshot.
+   * @param {any} state Reduced state of all actions in snapshot.
+   *
+   * @return {Promise<Snapshot>} Promise with snapshot, when actions
+   *                             will be removed.
+   *
+   * @example
+   * const lastAdded = await log.store.getLastAdded()
+   * await log.snapshot(lastAdded, projection.state)
+   */
+  snapshot: function snapshot (added, state) {
+    if (!this.store.saveSnapshot) {
+      throw new Error('Store does not support snapshots')
+    }
+
+    var log = this
+    var covered = []
+    var latest
+    return this.each({ order: 'added', maxAdded: added }, function (a, meta) {
+      covered.push(meta.id)
+      if (isFirstOlder(latest, meta)) latest = meta
+    }).then(function () {
+      var id = log.generateId()
+      var data = {
+        id: id,
+        time: latest ? latest.time : parseInt(id),
+        added: added,
+        state: state
+      }
+      return log.store.saveSnapshot(data).then(function () {
+        return Promise.all(covered.map(function (i) {
+          return log.store.remove(i).then(function (entry) {
+            emitClean(log, entry)
+          })
+        }))
+      }).then(function () {
+        return data
+      })
+    })
+  },
+
+  /**
+   * Write log to stream in JSON Lines format.
+   *
+   * First line will be a header with `nodeId` and `lastSynced` values.
+   * Every next line will be `[action, meta]` array from oldest action
+   * to newest. Stream will not be closed after export.
+   *
+   * Store returns pages from newest to oldest. Export reads pages
+   * without keeping their actions to find the oldest one and then
+   * reads them again, writing every page to stream right after loading.
+   *
+   * @param {stream.Writable} stream Stream to write log.
+   * @param {object} [opts] Export options.
+   * @param {'added'|'created'} [opts.order='created'] Sort entries by created
+   *                                                   time or when they was
+   *                                                   added to this log.
+   *
+   * @return {Promise} Promise when all lines will be written to stream.
+   *
+   * @example
+   * const file = fs.createWriteStream('backup.jsonl')
+   * await log.export(file, { order: 'added' })
+   * file.end()
+   */
+  export: function (stream, opts) {
+    var log = this
+    var order = opts && opts.order ? opts.order : 'created'
+    var newest
+    return this.store.getLastSynced().then(function (lastSynced) {
+      return writeLines(stream, [JSON.stringify({
+        nodeId: log.nodeId,
+        lastSynced: lastSynced
+      })])
+    }).then(function () {
+      return log.store.get({ order: order })
+    }).then(function (page) {
+      newest = page.entries
+      return findPages(page, [])
+    }).then(function (pages) {
+      return writePages(stream, pages, newest)
+    })
+  },
+
+  /**
+   * Add actions from stream with {@link Log#export} result.
+   *
+   * Actions will be added one by one with the same `id`, `time`
+   * and `reasons`. Actions, which are already in log, will be ignored.
+   * Then `lastSynced` values from export header will be set to store.
+   *
+   * @param {stream.Readable} stream Stream with exported log.
+   *
+   * @return {Promise} Promise when all actions will be added.
+   *
+   * @example
+   * await log.import(fs.createReadStream('backup.jsonl'))
+   */
+  import: function (stream) {
+    var log = this
+    return new Promise(function (resolve, reject) {
+      var header
+      var buffer = ''
+      var adding = Promise.resolve()
+
+      function addLines (lines) {
+        adding = lines.reduce(function (prev, line) {
+          return prev.then(function () {
+            if (line === '') return undefined
+            var data = JSON.parse(line)
+            if (!header) {
+              header = data
+              return undefined
+            }
+            delete data[1].added
+            return log.add(data[0], data[1])
+          })
+        }, adding)
+      }
+
+      if (stream.setEncoding) stream.setEncoding('utf8')
+      stream.on('data', function (chunk) {
+        var lines = (buffer + chunk).split('\n')
+        buffer = lines.pop()
+        stream.pause()
+        addLines(lines)
+        adding.then(function () {
+          stream.resume()
+        }, reject)
+      })
+      stream.on('end', function () {
+        addLines([buffer])
+        adding.then(function () {
+          if (!header) return undefined
+          return log.store.setLastSynced(header.lastSynced)
+        }).then(resolve, reject)
+      })
+      stream.on('error', reject)
+    })
+  },
+
+  /**
+   * Return log statistics: number of actions by type and by reason,
+   * created time of the oldest and the newest actions and approximate size.
+   *
+   * It uses {@link Store#stats} if store supports it. Otherwise log
+   * will iterate through all actions.
+   *
+   * @return {Promise<Stats>} Promise with log statistics.
+   *
+   * @example
+   * const stats = await log.stats()
+   * console.log(stats.count + ' actions, ' + stats.size + ' bytes')
+   */
+  stats: function stats () {
+    if (this.store.stats) return this.store.stats()
+
+    var result = {
+      count: 0,
+      types: { },
+      reasons: { },
+      minTime: undefined,
+      maxTime: undefined,
+      lastAdded: 0,
+      size: 0
+    }
+    var store = this.store
+    return this.each(function (action, meta) {
+      result.count += 1
+      result.types[action.type] = (result.types[action.type] || 0) + 1
+      meta.reasons.forEach(function (reason) {
+        result.reasons[reason] = (result.reasons[reason] || 0) + 1
+      })
+      if (typeof result.maxTime === 'undefined') result.maxTime = meta.time
+      result.minTime = meta.time
+      result.size += JSON.stringify([action, meta]).length
+    }).then(function () {
+      return store.getLastAdded()
+    }).then(function (lastAdded) {
+      result.lastAdded = lastAdded
+      return result
+    })
+  },
+
   /**
    * Does log already has action with this ID.
    *
@@ -308,16 +1514,281 @@ Log.prototype = {
    * @return {Promise<Entry|Nope>} Promise with entry.
    *
    * @example
-   * if (action.type === 'logux/undo') {
-   *   const [undidAction, undidMeta] = await log.byId(action.id)
-   *   log.changeMeta(meta.id, { reasons: undidMeta.reasons })
+   * const [action, meta] = await log.byId(id)
+   * if (action) {
+   *   console.log(action.type + ' was created at ' + meta.time)
    * }
    */
   byId: function byId (id) {
     return this.store.byId(id)
+  },
+
+  /**
+   * Create cursor to move through actions for debugging.
+   *
+   * @param {object} [opts] Cursor options.
+   * @param {'added'|'created'} [opts.order='created'] Sort entries by created
+   *                                                   time or when they was
+   *                                                   added to this log.
+   *
+   * @return {Cursor} Cursor after the last action of the log.
+   *
+   * @example
+   * const cursor = log.cursor()
+   * await cursor.seek(errorTime)
+   * console.log(await cursor.reduce(reducer, initial))
+   */
+  cursor: function cursor (opts) {
+    return new Cursor(this, opts)
+  },
+
+  /**
+   * Create log overlay for optimistic changes.
+   *
+   * Branch reads actions from this log, but keeps new actions in memory.
+   * Call {@link Branch#commit} to add them to this log
+   * or {@link Branch#discard} to remove them.
+   *
+   * @return {Branch} Branch log.
+   *
+   * @example
+   * const branch = log.branch()
+   * await branch.add({ type: 'users/rename', user, name }, { reasons })
+   * try {
+   *   await send(action)
+   *   await branch.commit()
+   * } catch (e) {
+   *   await branch.discard()
+   * }
+   */
+  branch: function branch () {
+    return new Branch(this)
+  },
+
+  /**
+   * Create view of this log only with actions from one scope.
+   *
+   * View adds actions to this log with `meta.scope`. It shows and emits
+   * events only for actions with the same `meta.scope`. You can pass
+   * the view to own {@link ClientNode} or {@link Projection}.
+   *
+   * @param {string} name Scope name.
+   *
+   * @return {Scope} Log view.
+   *
+   * @example
+   * const chat = log.scope('chat')
+   * const chatNode = new ClientNode('client:chat', chat, connection)
+   * chat.add({ type: 'chat/message', text }, { reasons: ['chat'] })
+   */
+  scope: function scope (name) {
+    return new Scope(this, name)
   }
 }
 
+/**
+ * Log overlay from {@link Log#branch}.
+ *
+ * It reads actions from parent log and from own memory store with new
+ * actions. It has the same order of actions as {@link MemoryStore}.
+ * It generates IDs by parent log and emits `add` and `clean` events
+ * from parent log.
+ *
+ * Branch does not use middlewares and reason policies of parent log.
+ * Parent log will apply them to branch actions on {@link Branch#commit}.
+ *
+ * @param {Log} parent Parent log.
+ *
+ * @example
+ * const branch = log.branch()
+ *
+ * @extends Log
+ * @class
+ */
+function Branch (parent) {
+  Log.call(this, {
+    nodeId: parent.nodeId,
+    store: new BranchStore(parent.store)
+  })
+
+  /**
+   * Parent log.
+   * @type {Log}
+   */
+  this.parent = parent
+
+  var emitter = this.emitter
+  this.unbindParent = [
+    parent.on('add', function (action, meta) {
+      emitter.emit('add', action, meta)
+    }),
+    parent.on('clean', function (action, meta) {
+      emitter.emit('clean', action, meta)
+    })
+  ]
+}
+
+Branch.prototype = Object.create(Log.prototype)
+Branch.prototype.constructor = Branch
+
+Branch.prototype.generateId = function generateId () {
+  return this.parent.generateId()
+}
+
+Branch.prototype.unbind = function unbind () {
+  this.unbindParent.forEach(function (unbindParent) {
+    unbindParent()
+  })
+  this.unbindParent = []
+}
+
+/**
+ * Add branch actions to parent log by {@link Log#addBatch}
+ * and stop branch.
+ *
+ * @return {Promise<Array<Meta|false>>} Promise with parent’s
+ *                                      {@link Log#addBatch} result.
+ *
+ * @example
+ * await branch.commit()
+ */
+Branch.prototype.commit = function commit () {
+  var branch = this
+  this.unbind()
+  var pending = this.store.pending
+  return pending.get({ order: 'added' }).then(function (page) {
+    return pending.clean().then(function () {
+      return branch.parent.addBatch(page.entries.map(function (entry) {
+        var meta = { }
+        for (var key in entry[1]) {
+          if (key !== 'added') meta[key] = entry[1][key]
+        }
+        return [entry[0], meta]
+      }))
+    })
+  })
+}
+
+/**
+ * Remove branch actions with `clean` event and stop branch.
+ *
+ * @return {Promise} Promise when all actions will be removed.
+ *
+ * @example
+ * await branch.discard()
+ */
+Branch.prototype.discard = function discard () {
+  var emitter = this.emitter
+  this.unbind()
+  var pending = this.store.pending
+  return pending.get({ order: 'added' }).then(function (page) {
+    return pending.clean().then(function () {
+      for (var i = page.entries.length - 1; i >= 0; i--) {
+        emitter.emit('clean', page.entries[i][0], page.entries[i][1])
+      }
+    })
+  })
+}
+
+var SCOPE_EVENTS = ['preadd', 'add', 'clean', 'undo', 'missing']
+
+/**
+ * Log view from {@link Log#scope}.
+ *
+ * It adds actions and middlewares to parent log and emits parent log
+ * events only for actions from own scope. It generates IDs by parent log.
+ * Parent log emits `clean` events for removed actions of scope.
+ *
+ * @param {Log} parent Parent log.
+ * @param {string} name Scope name.
+ *
+ * @example
+ * const chat = log.scope('chat')
+ *
+ * @extends Log
+ * @class
+ */
+function Scope (parent, name) {
+  Log.call(this, {
+    nodeId: parent.nodeId,
+    store: new ScopedStore(parent.store, name)
+  })
+
+  /**
+   * Parent log.
+   * @type {Log}
+   */
+  this.parent = parent
+
+  /**
+   * Scope name.
+   * @type {string}
+   */
+  this.name = name
+
+  this.cleanEmitter = parent.emitter
+
+  var emitter = this.emitter
+  this.unbindParent = SCOPE_EVENTS.map(function (event) {
+    return parent.on(event, function (action, meta) {
+      if (meta.scope !== name) return
+      var args = Array.prototype.slice.call(arguments)
+      emitter.emit.apply(emitter, [event].concat(args))
+    })
+  })
+}
+
+Scope.prototype = Object.create(Log.prototype)
+Scope.prototype.constructor = Scope
+
+Scope.prototype.generateId = function generateId () {
+  return this.parent.generateId()
+}
+
+Scope.prototype.updateClock = function updateClock (id) {
+  this.parent.updateClock(id)
+}
+
+Scope.prototype.unbind = Branch.prototype.unbind
+
+Scope.prototype.use = function use (middleware) {
+  var name = this.name
+  return this.parent.use(function (action, meta, next) {
+    if (meta.scope !== name) return next()
+    return middleware(action, meta, next)
+  })
+}
+
+Scope.prototype.add = function add (action, meta) {
+  if (!meta) meta = { }
+  meta.scope = this.name
+  return this.parent.add(action, meta)
+}
+
+Scope.prototype.addBatch = function addBatch (entries) {
+  var name = this.name
+  return this.parent.addBatch(entries.map(function (entry) {
+    var meta = entry[1] || { }
+    meta.scope = name
+    return [entry[0], meta]
+  }))
+}
+
+Scope.prototype.changeMeta = function changeMeta (id, diff) {
+  var parent = this.parent
+  return this.store.byId(id).then(function (entry) {
+    return entry[0] ? parent.changeMeta(id, diff) : false
+  })
+}
+
+Scope.prototype.removeReason = function removeReason (reason, criteria) {
+  var emitter = this.cleanEmitter
+  var store = this.store
+  return store.removeReason(reason, criteria || { }, function (action, meta) {
+    emitter.emit('clean', action, meta)
+  })
+}
+
 module.exports = Log
 
 /**
@@ -326,3 +1797,11 @@ module.exports = Log
  * @param {Meta} meta Next action’s metadata.
  * @return {boolean} returning `false` will stop iteration.
  */
+
+/**
+ * @callback middleware
+ * @param {Action} action New action.
+ * @param {Meta} meta The action’s metadata.
+ * @param {function} next Pass action to next middleware and store.
+ * @return {Promise} Promise until action will be processed.
+ */
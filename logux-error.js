@@ -107,6 +107,10 @@ LoguxError.describe = function describe (type, options) {
            'supported, but you use ' + options.used
   } else if (type === 'wrong-credentials') {
     return 'Wrong credentials'
+  } else if (type === 'rejected') {
+    var desc = 'Action ' + options.action.type + ' was rejected by middleware'
+    if (options.error) desc += ': ' + options.error.message
+    return desc
   } else {
     return type
   }
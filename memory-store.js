@@ -1,23 +1,92 @@
 var isFirstOlder = require('./is-first-older')
+var isMatched = require('./is-matched')
+var isInCriteria = require('./store-helpers').isInCriteria
+
+var VERSION = 1
+
+function count (counter, key, diff) {
+  var value = (counter[key] || 0) + diff
+  if (value === 0) {
+    delete counter[key]
+  } else {
+    counter[key] = value
+  }
+}
+
+function copy (object) {
+  var result = { }
+  for (var key in object) result[key] = object[key]
+  return result
+}
+
+function copyEntry (entry) {
+  var meta = copy(entry[1])
+  if (meta.reasons) meta.reasons = meta.reasons.slice(0)
+  return [entry[0], meta]
+}
+
+function countReasons (store, reasons, diff) {
+  for (var i = 0; i < reasons.length; i++) {
+    count(store.reasons, reasons[i], diff)
+  }
+}
+
+function forget (store, entry) {
+  store.ids.delete(entry[1].id)
+  count(store.types, entry[0].type, -1)
+  countReasons(store, entry[1].reasons || [], -1)
+  store.size -= store.sizes.get(entry[1].id)
+  store.sizes.delete(entry[1].id)
+}
+
+function compact (store) {
+  if (store.removed.size === 0) return
+  var removed = store.removed
+  function isAlive (entry) {
+    return !removed.has(entry)
+  }
+  store.createdEntries = store.createdEntries.filter(isAlive)
+  store.addedEntries = store.addedEntries.filter(isAlive)
+  removed.clear()
+}
 
 function insert (store, entry) {
   store.lastAdded += 1
   entry[1].added = store.lastAdded
-  store.added.push(entry)
+  store.addedEntries.push(entry)
+
+  var size = JSON.stringify(entry).length
+  store.sizes.set(entry[1].id, size)
+  store.size += size
+  count(store.types, entry[0].type, 1)
+  countReasons(store, entry[1].reasons || [], 1)
+
   return Promise.resolve(entry[1])
 }
 
-function find (list, id) {
-  for (var i = list.length - 1; i >= 0; i--) {
-    if (id === list[i][1].id) {
-      return i
+function position (list, meta) {
+  var m = 0
+  var n = list.length
+  while (m < n) {
+    var i = (n + m) >> 1
+    if (isFirstOlder(list[i][1], meta)) {
+      m = i + 1
+    } else {
+      n = i
     }
   }
-  return -1
+  return m
 }
 
-function isDefined (value) {
-  return typeof value !== 'undefined'
+function paginate (list, size) {
+  if (list.length <= size) return { entries: list }
+  var start = list.length - size
+  return {
+    entries: list.slice(start),
+    next: function () {
+      return Promise.resolve(paginate(list.slice(0, start), size))
+    }
+  }
 }
 
 /**
@@ -26,6 +95,14 @@ function isDefined (value) {
  * It is good for tests, but not for server or client usage,
  * because it store all data in memory and will lose log on exit.
  *
+ * Set `pageSize` in tests to check, that your code works
+ * with paginated stores.
+ *
+ * @param {object} [opts] Options.
+ * @param {number} [opts.pageSize] How many actions return in one page
+ *                                 from {@link Store#get}. All actions
+ *                                 will be in one page by default.
+ *
  * @example
  * import { MemoryStore } from 'logux-core'
  *
@@ -37,71 +114,80 @@ function isDefined (value) {
  * @class
  * @extends Store
  */
-function MemoryStore () {
-  this.created = []
-  this.added = []
+function MemoryStore (opts) {
+  if (!opts) opts = { }
+
+  /**
+   * How many actions return in one page.
+   * @type {number}
+   */
+  this.pageSize = opts.pageSize || Infinity
+
+  // Removed entries stay in lists until the next reading or until
+  // they will take half of lists, to not move arrays on every removing
+  this.createdEntries = []
+  this.addedEntries = []
+  this.removed = new Set()
+
+  this.ids = new Map()
   this.lastReceived = 0
   this.lastAdded = 0
   this.lastSent = 0
+  this.snapshot = null
+  this.scopes = { }
+  this.types = { }
+  this.reasons = { }
+  this.sizes = new Map()
+  this.size = 0
 }
 
 MemoryStore.prototype = {
 
+  /**
+   * Actions sorted by created time.
+   * @type {Entry[]}
+   */
+  get created () {
+    compact(this)
+    return this.createdEntries
+  },
+
+  /**
+   * Actions sorted by adding order.
+   * @type {Entry[]}
+   */
+  get added () {
+    compact(this)
+    return this.addedEntries
+  },
+
   add: function add (action, meta) {
-    var entry = [action, meta]
-    var id = meta.id
-
-    var list = this.created
-    for (var i = 0; i < list.length; i++) {
-      var other = list[i]
-      if (id === other[1].id) {
-        return Promise.resolve(false)
-      } else if (!isFirstOlder(other[1], meta)) {
-        list.splice(i, 0, entry)
-        return insert(this, entry)
-      }
-    }
+    if (this.ids.has(meta.id)) return Promise.resolve(false)
 
-    list.push(entry)
+    var entry = [action, meta]
+    var list = this.createdEntries
+    list.splice(position(list, meta), 0, entry)
+    this.ids.set(meta.id, entry)
     return insert(this, entry)
   },
 
   byId: function byId (id) {
-    var created = find(this.created, id)
-    if (created === -1) {
-      return Promise.resolve([null, null])
-    } else {
-      var entry = this.created[created]
+    var entry = this.ids.get(id)
+    if (entry) {
       return Promise.resolve([entry[0], entry[1]])
+    } else {
+      return Promise.resolve([null, null])
     }
   },
 
-  remove: function remove (id, created) {
-    if (typeof created === 'undefined') {
-      created = find(this.created, id)
-      if (created === -1) return Promise.resolve(false)
-    }
-
-    var entry = [this.created[created][0], this.created[created][1]]
-    this.created.splice(created, 1)
-
-    var added = entry[1].added
-    var m = 0
-    var n = this.added.length - 1
-    while (m <= n) {
-      var i = (n + m) >> 1
-      var otherAdded = this.added[i][1].added
-      if (otherAdded < added) {
-        m = i + 1
-      } else if (otherAdded > added) {
-        n = i - 1
-      } else {
-        this.added.splice(i, 1)
-        break
-      }
-    }
+  remove: function remove (id) {
+    var stored = this.ids.get(id)
+    if (!stored) return Promise.resolve(false)
 
-    return Promise.resolve(entry)
+    forget(this, stored)
+    this.removed.add(stored)
+    if (this.removed.size > this.ids.size) compact(this)
+    return Promise.resolve([stored[0], stored[1]])
   },
 
   get: function get (opts) {
@@ -111,81 +197,111 @@ MemoryStore.prototype = {
     } else {
       entries = this.added
     }
-    return Promise.resolve({ entries: entries.slice(0) })
+    var list = entries.filter(function (entry) {
+      return isMatched(entry[0], entry[1], opts)
+    })
+    return Promise.resolve(paginate(list, this.pageSize))
   },
 
   changeMeta: function changeMeta (id, diff) {
-    var index = find(this.created, id)
-    if (index === -1) {
+    var entry = this.ids.get(id)
+    if (!entry) {
       return Promise.resolve(false)
     } else {
-      var meta = this.created[index][1]
+      var meta = entry[1]
+      if (diff.reasons) {
+        countReasons(this, meta.reasons || [], -1)
+        countReasons(this, diff.reasons, 1)
+      }
       for (var key in diff) meta[key] = diff[key]
       return Promise.resolve(true)
     }
   },
 
   removeReason: function removeReason (reason, criteria, callback) {
-    var removed = []
     var meta, reasonPos
 
     if (criteria.id) {
-      var index = find(this.created, criteria.id)
-      if (index !== -1) {
-        meta = this.created[index][1]
+      var found = this.ids.get(criteria.id)
+      if (found) {
+        meta = found[1]
         reasonPos = meta.reasons.indexOf(reason)
         if (reasonPos !== -1) {
           meta.reasons.splice(reasonPos, 1)
+          count(this.reasons, reason, -1)
           if (meta.reasons.length === 0) {
-            callback(this.created[index][0], meta)
+            callback(found[0], meta)
             this.remove(criteria.id)
           }
         }
       }
     } else {
-      this.created = this.created.filter(function (entry) {
+      var store = this
+      this.created.forEach(function (entry) {
         meta = entry[1]
-        var c = criteria
-
         reasonPos = meta.reasons.indexOf(reason)
-        if (reasonPos === -1) {
-          return true
-        }
-        if (isDefined(c.olderThan) && !isFirstOlder(meta, c.olderThan)) {
-          return true
-        }
-        if (isDefined(c.youngerThan) && !isFirstOlder(c.youngerThan, meta)) {
-          return true
-        }
-        if (isDefined(c.minAdded) && meta.added < c.minAdded) {
-          return true
-        }
-        if (isDefined(c.maxAdded) && meta.added > c.maxAdded) {
-          return true
-        }
+        if (reasonPos === -1 || !isInCriteria(meta, criteria)) return
 
         meta.reasons.splice(reasonPos, 1)
+        count(store.reasons, reason, -1)
         if (meta.reasons.length === 0) {
           callback(entry[0], meta)
-          removed.push(meta.added)
-          return false
-        } else {
-          return true
+          forget(store, entry)
+          store.removed.add(entry)
         }
       })
-      this.added = this.added.filter(function (entry) {
-        return removed.indexOf(entry[1].added) === -1
-      })
     }
     return Promise.resolve()
   },
 
   clean: function clean () {
-    this.created = []
-    this.added = []
+    this.createdEntries = []
+    this.addedEntries = []
+    this.removed.clear()
+    this.ids = new Map()
     this.lastReceived = 0
     this.lastAdded = 0
     this.lastSent = 0
+    this.snapshot = null
+    this.scopes = { }
+    this.types = { }
+    this.reasons = { }
+    this.sizes = new Map()
+    this.size = 0
+    return Promise.resolve()
+  },
+
+  stats: function stats () {
+    var first = this.created[0]
+    var last = this.created[this.created.length - 1]
+    return Promise.resolve({
+      count: this.created.length,
+      types: copy(this.types),
+      reasons: copy(this.reasons),
+      minTime: first ? first[1].time : undefined,
+      maxTime: last ? last[1].time : undefined,
+      lastAdded: this.lastAdded,
+      size: this.size
+    })
+  },
+
+  saveSnapshot: function saveSnapshot (snapshot) {
+    this.snapshot = snapshot
+    return Promise.resolve()
+  },
+
+  getSnapshot: function getSnapshot () {
+    return Promise.resolve(this.snapshot)
+  },
+
+  getScopeData: function getScopeData (scope) {
+    return Promise.resolve(copy(this.scopes[scope]))
+  },
+
+  setScopeData: function setScopeData (scope, values) {
+    var data = this.scopes[scope] || { }
+    for (var key in values) data[key] = values[key]
+    this.scopes[scope] = data
     return Promise.resolve()
   },
 
@@ -208,8 +324,61 @@ MemoryStore.prototype = {
       this.lastReceived = values.received
     }
     return Promise.resolve()
+  },
+
+  /**
+   * Return all store data as JSON-compatible object.
+   * Use {@link MemoryStore.restore} to create store from it.
+   *
+   * @return {object} Store data with format version.
+   *
+   * @example
+   * fs.writeFileSync('log.json', JSON.stringify(store.serialize()))
+   */
+  serialize: function serialize () {
+    return {
+      version: VERSION,
+      entries: this.added.map(copyEntry),
+      lastAdded: this.lastAdded,
+      lastSent: this.lastSent,
+      lastReceived: this.lastReceived,
+      snapshot: this.snapshot,
+      scopes: this.scopes
+    }
+  }
+
+}
+
+/**
+ * Create store from data of {@link MemoryStore#serialize}.
+ * It will rebuild `created` and `added` orders of actions.
+ *
+ * @param {object} data Data from {@link MemoryStore#serialize}.
+ * @param {object} [opts] Store options.
+ * @param {number} [opts.pageSize] How many actions return in one page.
+ *
+ * @return {MemoryStore} New store with actions from data.
+ *
+ * @example
+ * const data = JSON.parse(fs.readFileSync('log.json'))
+ * const store = MemoryStore.restore(data)
+ */
+MemoryStore.restore = function restore (data, opts) {
+  if (data.version !== VERSION) {
+    throw new Error('Unknown MemoryStore data version ' + data.version)
   }
 
+  var store = new MemoryStore(opts)
+  data.entries.map(copyEntry).forEach(function (entry) {
+    store.lastAdded = entry[1].added - 1
+    store.add(entry[0], entry[1])
+  })
+  store.lastAdded = data.lastAdded
+  store.lastSent = data.lastSent
+  store.lastReceived = data.lastReceived
+  store.snapshot = data.snapshot
+  store.scopes = data.scopes || { }
+  return store
 }
 
 module.exports = MemoryStore
@@ -0,0 +1,99 @@
+function copyMeta (meta) {
+  var copy = { }
+  for (var key in meta) {
+    if (key !== 'added') copy[key] = meta[key]
+  }
+  return copy
+}
+
+/**
+ * Add actions from one log to another without nodes synchronization.
+ *
+ * It adds missed actions from `source` to `target` from oldest to newest
+ * with the same `id`, `time` and `reasons`. Actions with the same ID
+ * will be skipped.
+ *
+ * `filter` and `map` options work like `inFilter` and `inMap`
+ * in {@link BaseNode}. `map` will be called before `filter`.
+ *
+ * @param {Log} target Log to add actions.
+ * @param {Log} source Log to take actions.
+ * @param {object} [opts] Merge options.
+ * @param {filter} [opts.filter] Function to filter actions from `source`.
+ * @param {mapper} [opts.map] Map function to change action from `source`
+ *                            before adding it to `target`.
+ *
+ * @return {Promise<MergeReport>} Promise with IDs of added
+ *                                and skipped actions.
+ *
+ * @example
+ * import { mergeLogs } from '@logux/core'
+ *
+ * const report = await mergeLogs(log, backup, {
+ *   async filter (action) {
+ *     return action.type !== 'logux/subscribe'
+ *   }
+ * })
+ * console.log(report.added.length + ' actions were restored')
+ */
+function mergeLogs (target, source, opts) {
+  if (!opts) opts = { }
+
+  var ids = { }
+  var entries = []
+  var report = { added: [], skipped: [] }
+
+  return target.each(function (action, meta) {
+    ids[meta.id] = true
+  }).then(function () {
+    return source.each(function (action, meta) {
+      entries.unshift([action, meta])
+    })
+  }).then(function () {
+    return entries.reduce(function (prev, entry) {
+      return prev.then(function () {
+        if (ids[entry[1].id]) {
+          report.skipped.push(entry[1].id)
+          return undefined
+        }
+
+        var process = Promise.resolve([entry[0], copyMeta(entry[1])])
+        if (opts.map) {
+          process = process.then(function (data) {
+            return opts.map(data[0], data[1])
+          })
+        }
+        if (opts.filter) {
+          process = process.then(function (data) {
+            return opts.filter(data[0], data[1]).then(function (res) {
+              return res ? data : false
+            })
+          })
+        }
+
+        return process.then(function (changed) {
+          if (!changed) return false
+          return target.add(changed[0], changed[1])
+        }).then(function (added) {
+          if (added) {
+            ids[added.id] = true
+            report.added.push(added.id)
+          } else {
+            report.skipped.push(entry[1].id)
+          }
+        })
+      })
+    }, Promise.resolve())
+  }).then(function () {
+    return report
+  })
+}
+
+module.exports = mergeLogs
+
+/**
+ * @typedef {object} MergeReport
+ * @property {string[]} added IDs of actions, which were added to target log.
+ * @property {string[]} skipped IDs of actions, which were already in target
+ *                              log or were filtered out.
+ */
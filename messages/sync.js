@@ -16,7 +16,10 @@ module.exports = {
         }
       }
 
-      if (this.timeFix) meta.time -= this.timeFix
+      if (this.timeFix) {
+        meta.time -= this.timeFix
+        if (meta.expires) meta.expires -= this.timeFix
+      }
       meta.id[0] = parseInt(meta.id[0]) - this.baseTime
       meta.id[2] = parseInt(meta.id[2])
       meta.time -= this.baseTime
@@ -60,8 +63,14 @@ module.exports = {
         }
       }
 
+      node.log.updateClock(meta.id)
+
       meta.time = meta.time + this.baseTime
       if (node.timeFix) meta.time = meta.time + node.timeFix
+      if (meta.expires) {
+        if (node.timeFix) meta.expires = meta.expires + node.timeFix
+        if (meta.expires <= node.now()) continue
+      }
 
       var process = Promise.resolve([action, meta])
 
@@ -73,7 +82,7 @@ module.exports = {
         })
       }
 
-      process.then(function (data) {
+      process = process.then(function (data) {
         if (node.options.inFilter) {
           return node.options.inFilter(data[0], data[1]).then(function (res) {
             return res ? data : false
@@ -87,6 +96,8 @@ module.exports = {
         if (!changed) return false
         node.received[changed[1].id] = true
         return node.log.add(changed[0], changed[1])
+      }).catch(function (e) {
+        if (e.name !== 'LoguxError' || e.type !== 'rejected') node.error(e)
       })
 
       promises.push(process)
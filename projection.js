@@ -0,0 +1,268 @@
+var NanoEvents = require('nanoevents')
+
+var isFirstOlder = require('./is-first-older')
+
+function findPosition (history, meta) {
+  var m = 0
+  var n = history.length
+  while (m < n) {
+    var i = (n + m) >> 1
+    if (isFirstOlder(meta, history[i][1])) {
+      n = i
+    } else {
+      m = i + 1
+    }
+  }
+  return m
+}
+
+/**
+ * State of the log, built by reducer from all log actions
+ * in created time order.
+ *
+ * Actions from remote nodes could be older than actions, which were
+ * already applied. In this case projection will roll back state
+ * to the nearest checkpoint before the older action and apply all actions
+ * since this checkpoint again.
+ *
+ * Projection will replace state by `state` from `logux/snapshot` action
+ * from {@link Log#snapshot}. On `logux/undo` action it will remove undone
+ * action from state by applying all actions since the nearest checkpoint
+ * without it.
+ *
+ * Projection keeps only last checkpoints and actions after the oldest
+ * of them. Action older than all kept actions will be applied
+ * after state of the oldest checkpoint.
+ *
+ * Reducer must not change state object. It should return new state instead,
+ * because old states are used for checkpoints.
+ *
+ * @param {Log} log The log to build state from.
+ * @param {object} opts Options.
+ * @param {reducer} opts.reducer Function to calculate new state.
+ * @param {any} [opts.initial] Initial state.
+ * @param {number} [opts.checkpoint=100] How often save state to checkpoint.
+ *                                       Every 100 actions by default.
+ * @param {number} [opts.keep=10] How many checkpoints keep to replay
+ *                                older actions.
+ *
+ * @example
+ * import { Projection } from '@logux/core'
+ *
+ * const users = new Projection(log, {
+ *   initial: { },
+ *   reducer (state, action) {
+ *     if (action.type === 'users/rename') {
+ *       return { ...state, [action.user]: action.name }
+ *     } else {
+ *       return state
+ *     }
+ *   }
+ * })
+ * users.on('change', state => {
+ *   render(state)
+ * })
+ *
+ * @class
+ */
+function Projection (log, opts) {
+  if (!opts || typeof opts.reducer !== 'function') {
+    throw new Error('Expected reducer')
+  }
+
+  /**
+   * Log for projection.
+   * @type {Log}
+   */
+  this.log = log
+  this.reducer = opts.reducer
+  this.checkpoint = opts.checkpoint || 100
+  this.keep = opts.keep || 10
+
+  /**
+   * Current state.
+   * @type {any}
+   *
+   * @example
+   * console.log(users.state[userId])
+   */
+  this.state = opts.initial
+
+  this.base = opts.initial
+  this.history = []
+  this.checkpoints = []
+  this.undone = { }
+  this.queue = []
+  this.emitter = new NanoEvents()
+
+  /**
+   * Was projection built from actions, which were in log before.
+   * @type {boolean}
+   */
+  this.initialized = false
+
+  var projection = this
+  this.unbind = log.on('add', function (action, meta) {
+    if (projection.initialized) {
+      projection.process(action, meta)
+    } else {
+      projection.queue.push([action, meta])
+    }
+  })
+
+  /**
+   * Promise until projection will be built from actions,
+   * which were in log before.
+   * @type {Promise}
+   *
+   * @example
+   * await users.initializing
+   * console.log(users.state)
+   */
+  this.initializing = this.initialize()
+}
+
+Projection.prototype = {
+
+  /**
+   * Subscribe for projection events. It implements nanoevents API.
+   * Supported events:
+   *
+   * * `change`: state was changed by new action.
+   *
+   * @param {"change"} event The event name.
+   * @param {function} listener The listener function.
+   *
+   * @return {function} Unbind listener from event.
+   *
+   * @example
+   * users.on('change', state => {
+   *   render(state)
+   * })
+   */
+  on: function on (event, listener) {
+    return this.emitter.on(event, listener)
+  },
+
+  /**
+   * Stop listening log for new actions.
+   *
+   * @return {undefined}
+   *
+   * @example
+   * users.destroy()
+   */
+  destroy: function destroy () {
+    this.unbind()
+  },
+
+  initialize: function initialize () {
+    var projection = this
+    var entries = []
+    return this.log.each({ order: 'created' }, function (action, meta) {
+      entries.unshift([action, meta])
+    }).then(function () {
+      var queue = entries.concat(projection.queue)
+      projection.queue = []
+      projection.initialized = true
+      var changed = false
+      for (var i = 0; i < queue.length; i++) {
+        if (projection.insert(queue[i][0], queue[i][1])) changed = true
+      }
+      projection.forget()
+      if (changed) projection.emitter.emit('change', projection.state)
+    })
+  },
+
+  process: function process (action, meta) {
+    if (this.insert(action, meta)) {
+      this.forget()
+      this.emitter.emit('change', this.state)
+    }
+  },
+
+  insert: function insert (action, meta) {
+    if (action.type === 'logux/undo') return this.revert(action.id)
+    if (this.undone[meta.id]) return false
+
+    var position = findPosition(this.history, meta)
+    var prev = this.history[position - 1]
+    if (prev && prev[1].id === meta.id) return false
+    if (position === this.history.length) {
+      this.history.push([action, meta])
+      this.apply(position)
+    } else {
+      this.history.splice(position, 0, [action, meta])
+      this.replay(position)
+    }
+    return true
+  },
+
+  revert: function revert (id) {
+    this.undone[id] = true
+    for (var i = this.history.length - 1; i >= 0; i--) {
+      if (this.history[i][1].id === id) {
+        this.history.splice(i, 1)
+        this.replay(i)
+        return true
+      }
+    }
+    return false
+  },
+
+  apply: function apply (index) {
+    var entry = this.history[index]
+    if (entry[0].type === 'logux/snapshot') {
+      this.state = entry[0].state
+    } else {
+      this.state = this.reducer(this.state, entry[0], entry[1])
+    }
+    if ((index + 1) % this.checkpoint === 0) {
+      this.checkpoints.push({ index: index, state: this.state })
+    }
+  },
+
+  replay: function replay (from) {
+    while (this.checkpoints.length > 0) {
+      var last = this.checkpoints[this.checkpoints.length - 1]
+      if (last.index < from) break
+      this.checkpoints.pop()
+    }
+
+    var start = 0
+    if (this.checkpoints.length > 0) {
+      var checkpoint = this.checkpoints[this.checkpoints.length - 1]
+      this.state = checkpoint.state
+      start = checkpoint.index + 1
+    } else {
+      this.state = this.base
+    }
+
+    for (var i = start; i < this.history.length; i++) {
+      this.apply(i)
+    }
+  },
+
+  forget: function forget () {
+    while (this.checkpoints.length > this.keep) {
+      var oldest = this.checkpoints.shift()
+      var removed = oldest.index + 1
+      this.history.splice(0, removed)
+      this.base = oldest.state
+      for (var i = 0; i < this.checkpoints.length; i++) {
+        this.checkpoints[i].index -= removed
+      }
+    }
+  }
+
+}
+
+module.exports = Projection
+
+/**
+ * @callback reducer
+ * @param {any} state Previous state.
+ * @param {Action} action New action.
+ * @param {Meta} meta The action’s metadata.
+ * @return {any} New state.
+ */
@@ -0,0 +1,170 @@
+var helpers = require('./store-helpers')
+
+var isInCriteria = helpers.isInCriteria
+var loadAll = helpers.loadAll
+
+var NOPE = [null, null]
+
+function filterPage (store, page) {
+  var result = {
+    entries: page.entries.filter(function (entry) {
+      return entry[1].scope === store.scope
+    })
+  }
+  if (page.next) {
+    result.next = function () {
+      return page.next().then(function (next) {
+        return filterPage(store, next)
+      })
+    }
+  }
+  return result
+}
+
+function getData (store) {
+  if (store.parent.getScopeData) return store.parent.getScopeData(store.scope)
+  return Promise.resolve(store.data)
+}
+
+function setData (store, values) {
+  if (store.parent.setScopeData) {
+    return store.parent.setScopeData(store.scope, values)
+  }
+  for (var key in values) store.data[key] = values[key]
+  return Promise.resolve()
+}
+
+/**
+ * Store for {@link Log#scope}. It keeps actions in parent store
+ * with `meta.scope` and shows only actions from own scope.
+ *
+ * Latest synchronized values and snapshot of every scope are kept
+ * in parent store by {@link Store#setScopeData}, because every scope
+ * could be synchronized by own node. If parent store does not support
+ * scope data, they will be kept in memory.
+ *
+ * @param {Store} parent Store of parent log.
+ * @param {string} scope Scope name.
+ *
+ * @class
+ * @extends Store
+ */
+function ScopedStore (parent, scope) {
+  /**
+   * Store of parent log.
+   * @type {Store}
+   */
+  this.parent = parent
+
+  /**
+   * Scope name.
+   * @type {string}
+   */
+  this.scope = scope
+
+  this.data = { }
+}
+
+ScopedStore.prototype = {
+
+  add: function add (action, meta) {
+    meta.scope = this.scope
+    return this.parent.add(action, meta)
+  },
+
+  byId: function byId (id) {
+    var scope = this.scope
+    return this.parent.byId(id).then(function (entry) {
+      return entry[0] && entry[1].scope === scope ? entry : NOPE
+    })
+  },
+
+  remove: function remove (id) {
+    var parent = this.parent
+    return this.byId(id).then(function (entry) {
+      return entry[0] ? parent.remove(id) : false
+    })
+  },
+
+  get: function get (opts) {
+    var store = this
+    return this.parent.get(opts).then(function (page) {
+      return filterPage(store, page)
+    })
+  },
+
+  changeMeta: function changeMeta (id, diff) {
+    var parent = this.parent
+    return this.byId(id).then(function (entry) {
+      return entry[0] ? parent.changeMeta(id, diff) : false
+    })
+  },
+
+  removeReason: function removeReason (reason, criteria, callback) {
+    var parent = this.parent
+    var request
+    if (criteria.id) {
+      request = this.byId(criteria.id).then(function (entry) {
+        return entry[0] ? [entry] : []
+      })
+    } else {
+      request = loadAll(this.get({ order: 'created' }))
+    }
+    return request.then(function (entries) {
+      return entries.reduce(function (prev, entry) {
+        var meta = entry[1]
+        if (meta.reasons.indexOf(reason) === -1) return prev
+        if (!isInCriteria(meta, criteria)) return prev
+        return prev.then(function () {
+          return parent.removeReason(reason, { id: meta.id }, callback)
+        })
+      }, Promise.resolve())
+    })
+  },
+
+  clean: function clean () {
+    var parent = this.parent
+    return Promise.all([
+      setData(this, { received: 0, sent: 0, snapshot: null }),
+      loadAll(this.get({ order: 'created' }))
+    ]).then(function (result) {
+      return Promise.all(result[1].map(function (entry) {
+        return parent.remove(entry[1].id)
+      }))
+    })
+  },
+
+  saveSnapshot: function saveSnapshot (snapshot) {
+    return setData(this, { snapshot: snapshot })
+  },
+
+  getSnapshot: function getSnapshot () {
+    return getData(this).then(function (data) {
+      return data.snapshot || null
+    })
+  },
+
+  getLastAdded: function getLastAdded () {
+    return this.parent.getLastAdded()
+  },
+
+  getLastSynced: function getLastSynced () {
+    return getData(this).then(function (data) {
+      return { received: data.received || 0, sent: data.sent || 0 }
+    })
+  },
+
+  setLastSynced: function setLastSynced (values) {
+    var changes = { }
+    if (typeof values.sent !== 'undefined') {
+      changes.sent = values.sent
+    }
+    if (typeof values.received !== 'undefined') {
+      changes.received = values.received
+    }
+    return setData(this, changes)
+  }
+
+}
+
+module.exports = ScopedStore
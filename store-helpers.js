@@ -0,0 +1,60 @@
+var isFirstOlder = require('./is-first-older')
+
+/**
+ * Check that value was set.
+ *
+ * @param {any} value Value to check.
+ *
+ * @return {boolean} Is value defined.
+ */
+function isDefined (value) {
+  return typeof value !== 'undefined'
+}
+
+/**
+ * Check that action’s metadata is matched to criteria
+ * from {@link Store#removeReason}.
+ *
+ * @param {Meta} meta Action’s metadata.
+ * @param {object} criteria Criteria from {@link Store#removeReason}.
+ *
+ * @return {boolean} Is metadata matched.
+ */
+function isInCriteria (meta, criteria) {
+  var c = criteria
+  if (isDefined(c.olderThan) && !isFirstOlder(meta, c.olderThan)) {
+    return false
+  }
+  if (isDefined(c.youngerThan) && !isFirstOlder(c.youngerThan, meta)) {
+    return false
+  }
+  if (isDefined(c.minAdded) && meta.added < c.minAdded) {
+    return false
+  }
+  if (isDefined(c.maxAdded) && meta.added > c.maxAdded) {
+    return false
+  }
+  return true
+}
+
+/**
+ * Load entries from all pages of {@link Store#get}.
+ *
+ * @param {Promise<Page>} request Promise with first page.
+ * @param {Entry[]} [list] Entries from newer pages.
+ *
+ * @return {Promise<Entry[]>} Promise with entries from oldest to newest.
+ */
+function loadAll (request, list) {
+  if (!list) list = []
+  return request.then(function (page) {
+    list = page.entries.concat(list)
+    return page.next ? loadAll(page.next(), list) : list
+  })
+}
+
+module.exports = {
+  isDefined: isDefined,
+  isInCriteria: isInCriteria,
+  loadAll: loadAll
+}
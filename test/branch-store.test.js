@@ -0,0 +1,111 @@
+let eachStoreCheck = require('../each-store-check')
+let BranchStore = require('../branch-store')
+let MemoryStore = require('../memory-store')
+
+eachStoreCheck((desc, creator) => {
+  it(desc, creator(() => new BranchStore(new MemoryStore())))
+})
+
+async function getPages (store, order) {
+  let pages = []
+  let page = await store.get({ order })
+  pages.push(page.entries.map(i => i[0].type))
+  while (page.next) {
+    page = await page.next()
+    pages.push(page.entries.map(i => i[0].type))
+  }
+  return pages
+}
+
+it('merges parent and branch actions', async () => {
+  let parent = new MemoryStore({ pageSize: 1 })
+  await parent.add({ type: '1' }, { id: '1 n 0', time: 1 })
+  await parent.add({ type: '4' }, { id: '4 n 0', time: 4 })
+  let store = new BranchStore(parent)
+  await store.add({ type: '3' }, { id: '3 n 0', time: 3 })
+  await store.add({ type: '5' }, { id: '5 n 0', time: 5 })
+  await parent.add({ type: '2' }, { id: '2 n 0', time: 2 })
+
+  expect(await getPages(store, 'created')).toEqual([
+    ['4', '5'], ['2', '3'], ['1']
+  ])
+  expect(await getPages(store, 'added')).toEqual([
+    ['2', '3', '5'], ['4'], ['1']
+  ])
+  let added = await store.get({ order: 'added' })
+  expect(added.entries.map(i => i[1].added)).toEqual([3, 4, 5])
+  expect(await store.getLastAdded()).toEqual(5)
+  await parent.add({ type: '6' }, { id: '6 n 0', time: 6 })
+  await parent.add({ type: '7' }, { id: '7 n 0', time: 7 })
+  expect(await store.getLastAdded()).toEqual(7)
+  expect((await store.byId('5 n 0'))[1].added).toEqual(7)
+  expect(store.pending.created.map(i => i[1].added)).toEqual([1, 2])
+})
+
+it('keeps added unique with new parent actions', async () => {
+  let parent = new MemoryStore()
+  let store = new BranchStore(parent)
+  let meta = await store.add({ type: 'B' }, { id: '1 n 0', time: 1 })
+  expect(meta.added).toEqual(1)
+  await parent.add({ type: 'P' }, { id: '2 n 0', time: 2 })
+  let page = await store.get({ order: 'added' })
+  expect(page.entries.map(i => [i[0].type, i[1].added])).toEqual([
+    ['P', 1], ['B', 2]
+  ])
+  page = await store.get({ order: 'added', minAdded: 2 })
+  expect(page.entries.map(i => i[0].type)).toEqual(['B'])
+  page = await store.get({ order: 'added', maxAdded: 1 })
+  expect(page.entries.map(i => i[0].type)).toEqual(['P'])
+
+  await store.changeMeta('1 n 0', { reasons: ['a'] })
+  let removed = []
+  await store.removeReason('a', { maxAdded: 1 }, (action, other) => {
+    removed.push([action.type, other.added])
+  })
+  await store.removeReason('a', { minAdded: 2 }, (action, other) => {
+    removed.push([action.type, other.added])
+  })
+  expect(removed).toEqual([['B', 2]])
+  await store.add({ type: 'C' }, { id: '3 n 0', time: 3 })
+  expect(await store.remove('3 n 0')).toEqual([
+    { type: 'C' }, { id: '3 n 0', time: 3, added: 3 }
+  ])
+  expect(await store.remove('3 n 0')).toBe(false)
+})
+
+it('keeps branch actions in pages with parent actions', async () => {
+  let parent = new MemoryStore({ pageSize: 2 })
+  await parent.add({ type: '2' }, { id: '2 n 0', time: 2 })
+  await parent.add({ type: '3' }, { id: '3 n 0', time: 3 })
+  await parent.add({ type: '5' }, { id: '5 n 0', time: 5 })
+  let store = new BranchStore(parent)
+  await store.add({ type: '1' }, { id: '1 n 0', time: 1 })
+  await store.add({ type: '4' }, { id: '4 n 0', time: 4 })
+  expect(await getPages(store, 'created')).toEqual([
+    ['3', '4', '5'], ['1', '2']
+  ])
+})
+
+it('moves branch actions through empty parent pages', async () => {
+  let parent = new MemoryStore()
+  await parent.add({ type: '1' }, { id: '1 n 0', time: 1 })
+  parent.get = async function (opts) {
+    let page = await MemoryStore.prototype.get.call(this, opts)
+    return { entries: [], next: async () => page }
+  }
+  let store = new BranchStore(parent)
+  await store.add({ type: '2' }, { id: '2 n 0', time: 2 })
+  expect(await getPages(store, 'created')).toEqual([[], ['1', '2']])
+})
+
+it('reads actions by ID from parent', async () => {
+  let parent = new MemoryStore()
+  await parent.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  let store = new BranchStore(parent)
+  expect(await store.byId('1 n 0')).toEqual([
+    { type: 'A' }, { id: '1 n 0', time: 1, added: 1 }
+  ])
+  expect(await store.add({ type: 'B' }, { id: '1 n 0', time: 1 })).toBe(false)
+  expect(await store.remove('1 n 0')).toBe(false)
+  expect(parent.created).toHaveLength(1)
+})
@@ -0,0 +1,92 @@
+let MemoryStore = require('../memory-store')
+let Log = require('../log')
+
+function reducer (state, action) {
+  return state.concat([action.type])
+}
+
+async function createLog () {
+  let store = new MemoryStore()
+  store.get = async function (opts) {
+    let page = await MemoryStore.prototype.get.call(this, opts)
+    let last = page.entries.slice(-2)
+    let rest = page.entries.slice(0, -2)
+    return {
+      entries: last,
+      next: async () => ({ entries: rest })
+    }
+  }
+  let log = new Log({ nodeId: 'test', store })
+  await log.add({ type: 'A' }, { id: '1 n 0', reasons: ['test'] })
+  await log.add({ type: 'C' }, { id: '3 n 0', reasons: ['test'] })
+  await log.add({ type: 'B' }, { id: '2 n 0', reasons: ['test'] })
+  return log
+}
+
+it('moves through actions', async () => {
+  let log = await createLog()
+  let cursor = log.cursor()
+  expect(cursor.order).toEqual('created')
+  expect(await cursor.next()).toEqual([null, null])
+  expect((await cursor.prev())[0]).toEqual({ type: 'C' })
+  expect((await cursor.prev())[0]).toEqual({ type: 'B' })
+  expect(cursor.entries).toHaveLength(2)
+  expect(await cursor.prev()).toEqual([
+    { type: 'A' }, { id: '1 n 0', time: 1, added: 1, reasons: ['test'] }
+  ])
+  expect(cursor.entries).toHaveLength(3)
+  expect(await cursor.prev()).toEqual([null, null])
+  expect(await cursor.prev()).toEqual([null, null])
+  expect((await cursor.next())[0]).toEqual({ type: 'A' })
+  expect((await cursor.next())[0]).toEqual({ type: 'B' })
+})
+
+it('supports added order', async () => {
+  let log = await createLog()
+  let cursor = log.cursor({ order: 'added' })
+  let types = []
+  let [action] = await cursor.prev()
+  while (action) {
+    types.push(action.type)
+    action = (await cursor.prev())[0]
+  }
+  expect(types).toEqual(['B', 'C', 'A'])
+  await expect(cursor.seek(2)).rejects.toThrowError(
+    'Seek by time needs created order'
+  )
+})
+
+it('seeks by ID and time', async () => {
+  let log = await createLog()
+  let cursor = log.cursor()
+  expect((await cursor.seek('3 n 0'))[0]).toEqual({ type: 'C' })
+  expect(cursor.entries).toHaveLength(2)
+  expect((await cursor.seek('2 n 0'))[0]).toEqual({ type: 'B' })
+  expect((await cursor.next())[0]).toEqual({ type: 'C' })
+  expect(await cursor.seek('4 n 0')).toEqual([null, null])
+  expect(cursor.position).toEqual(2)
+  expect(cursor.current()[0]).toEqual({ type: 'C' })
+  expect((await cursor.seek(2.5))[0]).toEqual({ type: 'B' })
+  expect((await cursor.seek(10))[0]).toEqual({ type: 'C' })
+  expect(await cursor.seek(0)).toEqual([null, null])
+  expect(cursor.position).toEqual(-1)
+})
+
+it('reduces state to current action', async () => {
+  let log = await createLog()
+  let cursor = log.cursor()
+  expect(await cursor.reduce(reducer, [])).toEqual(['A', 'B', 'C'])
+  await cursor.seek('2 n 0')
+  expect(await cursor.reduce(reducer, [])).toEqual(['A', 'B'])
+  await cursor.seek(0)
+  expect(await cursor.reduce(reducer, [])).toEqual([])
+  expect(log.store.created).toHaveLength(3)
+})
+
+it('does not see new actions', async () => {
+  let log = await createLog()
+  let cursor = log.cursor()
+  await cursor.prev()
+  await log.add({ type: 'D' }, { reasons: ['test'] })
+  expect(await cursor.next()).toEqual([null, null])
+})
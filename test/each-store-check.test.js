@@ -1,6 +1,16 @@
 let eachStoreCheck = require('../each-store-check')
 let MemoryStore = require('../memory-store')
 
+class BatchStore extends MemoryStore {
+  async addBatch (entries) {
+    let result = []
+    for (let [action, meta] of entries) {
+      result.push(await this.add(action, meta))
+    }
+    return result
+  }
+}
+
 eachStoreCheck((desc, creator) => {
   if (desc === 'cleans whole store if implemented') {
     it('works with stores without clean method', creator(() => {
@@ -9,4 +19,21 @@ eachStoreCheck((desc, creator) => {
       return store
     }))
   }
+  if (desc === 'saves snapshot if implemented') {
+    it('works with stores without snapshots', creator(() => {
+      let store = new MemoryStore()
+      store.saveSnapshot = undefined
+      return store
+    }))
+  }
+  if (desc === 'returns stats if implemented') {
+    it('works with stores without stats', creator(() => {
+      let store = new MemoryStore()
+      store.stats = undefined
+      return store
+    }))
+  }
+  if (desc === 'adds batch if implemented') {
+    it('works with stores with batch method', creator(() => new BatchStore()))
+  }
 })
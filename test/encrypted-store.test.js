@@ -0,0 +1,236 @@
+let nodeCrypto = require('crypto')
+let util = require('util')
+
+let eachStoreCheck = require('../each-store-check')
+let EncryptedStore = require('../encrypted-store')
+let MemoryStore = require('../memory-store')
+let Log = require('../log')
+
+// Node.js 10 has no WebCrypto and global TextEncoder
+if (!global.TextEncoder) {
+  global.TextEncoder = util.TextEncoder
+  global.TextDecoder = util.TextDecoder
+}
+
+let fakeWebCrypto = {
+  getRandomValues: array => nodeCrypto.randomFillSync(array),
+  subtle: {
+    async importKey (format, raw) {
+      return { raw }
+    },
+    async encrypt ({ iv }, key, data) {
+      let cipher = nodeCrypto.createCipheriv('aes-256-gcm', key.raw, iv)
+      return Buffer.concat([
+        cipher.update(data), cipher.final(), cipher.getAuthTag()
+      ])
+    },
+    async decrypt ({ iv }, key, data) {
+      let decipher = nodeCrypto.createDecipheriv('aes-256-gcm', key.raw, iv)
+      decipher.setAuthTag(data.subarray(data.length - 16))
+      return Buffer.concat([
+        decipher.update(data.subarray(0, data.length - 16)), decipher.final()
+      ])
+    }
+  }
+}
+
+let webcrypto = nodeCrypto.webcrypto || fakeWebCrypto
+let createCipheriv = nodeCrypto.createCipheriv
+let key = nodeCrypto.randomBytes(32)
+
+afterEach(() => {
+  delete global.crypto
+  nodeCrypto.createCipheriv = createCipheriv
+})
+
+function createStore (store = new MemoryStore()) {
+  return new EncryptedStore(store, { key, crypto: webcrypto })
+}
+
+function createNodeStore (store = new MemoryStore()) {
+  return new EncryptedStore(store, { key })
+}
+
+eachStoreCheck((desc, creator) => {
+  it(`${ desc } with WebCrypto`, creator(() => createStore()))
+  it(`${ desc } with Node.js crypto`, creator(() => createNodeStore()))
+})
+
+it('requires store and key', () => {
+  expect(() => {
+    new EncryptedStore()
+  }).toThrowError(/store/)
+  expect(() => {
+    new EncryptedStore(new MemoryStore())
+  }).toThrowError(/key/)
+  nodeCrypto.createCipheriv = undefined
+  expect(() => {
+    new EncryptedStore(new MemoryStore(), { key })
+  }).toThrowError('No WebCrypto support')
+})
+
+it('uses global WebCrypto', () => {
+  global.crypto = webcrypto
+  let store = new EncryptedStore(new MemoryStore(), { key })
+  expect(store.crypto).toBe(webcrypto)
+})
+
+it('uses Node.js crypto without WebCrypto', () => {
+  expect(createNodeStore().crypto).toBe(false)
+})
+
+it('supports CryptoKey', async () => {
+  let cryptoKey = await webcrypto.subtle.importKey(
+    'raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']
+  )
+  let store = new EncryptedStore(new MemoryStore(), {
+    key: cryptoKey, crypto: webcrypto
+  })
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  expect(await store.byId('1 n 0')).toEqual([
+    { type: 'A' }, { id: '1 n 0', time: 1, added: 1 }
+  ])
+})
+
+it('reads data from another backend', async () => {
+  let memory = new MemoryStore()
+  let meta = { id: '1 n 0', time: 1, user: 'Иван' }
+  await createNodeStore(memory).add({ type: 'A', text: 'тест' }, meta)
+  expect(await createStore(memory).byId('1 n 0')).toEqual([
+    { type: 'A', text: 'тест' },
+    { id: '1 n 0', time: 1, added: 1, user: 'Иван' }
+  ])
+  await createStore(memory).add({ type: 'B', text: 'тест' }, {
+    id: '2 n 0', time: 2
+  })
+  expect(await createNodeStore(memory).byId('2 n 0')).toEqual([
+    { type: 'B', text: 'тест' }, { id: '2 n 0', time: 2, added: 2 }
+  ])
+})
+
+it('hides optional methods missed in wrapped store', () => {
+  let memory = new MemoryStore()
+  memory.stats = undefined
+  let store = createStore(memory)
+  expect(store.addBatch).toBeUndefined()
+  expect(store.stats).toBeUndefined()
+  expect(typeof store.saveSnapshot).toEqual('function')
+  expect(typeof store.getSnapshot).toEqual('function')
+})
+
+it('adds batch', async () => {
+  let memory = new MemoryStore()
+  memory.addBatch = entries => Promise.all(entries.map(entry => {
+    return memory.add(entry[0], entry[1])
+  }))
+  let store = createStore(memory)
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  let meta = { id: '2 n 0', time: 2, user: 1 }
+  expect(await store.addBatch([
+    [{ type: 'A' }, { id: '1 n 0', time: 1 }],
+    [{ type: 'B' }, meta]
+  ])).toEqual([false, meta])
+  expect(meta.added).toEqual(2)
+  expect(JSON.stringify(memory.created)).not.toContain('user')
+  expect(await store.byId('2 n 0')).toEqual([
+    { type: 'B' }, { id: '2 n 0', time: 2, added: 2, user: 1 }
+  ])
+})
+
+it('keeps snapshot state encrypted', async () => {
+  let memory = new MemoryStore()
+  let log = new Log({ nodeId: 'test', store: createStore(memory) })
+  await log.add({ type: 'A' }, { reasons: ['a'] })
+  let data = await log.snapshot(1, { secret: 'тест' })
+  expect(memory.snapshot).toEqual({
+    id: data.id, time: data.time, added: 1, encrypted: expect.any(String)
+  })
+  expect(await log.store.getSnapshot()).toEqual(data)
+  expect(memory.created).toEqual([])
+})
+
+it('keeps only index fields readable', async () => {
+  let memory = new MemoryStore()
+  let store = createStore(memory)
+  let meta = { id: '1 n 0', time: 1, reasons: ['a'], user: 'Иван' }
+  let added = await store.add({ type: 'A', text: 'секрет' }, meta)
+  expect(added).toBe(meta)
+  expect(added.added).toEqual(1)
+
+  let inner = memory.created[0]
+  expect(Object.keys(inner[0])).toEqual(['encrypted'])
+  expect(inner[1]).toEqual({
+    id: '1 n 0',
+    time: 1,
+    added: 1,
+    reasons: ['a'],
+    encrypted: expect.any(String)
+  })
+  expect(JSON.stringify(inner)).not.toContain('type')
+  expect(JSON.stringify(inner)).not.toContain('user')
+
+  expect(await store.byId('1 n 0')).toEqual([
+    { type: 'A', text: 'секрет' },
+    { id: '1 n 0', time: 1, added: 1, reasons: ['a'], user: 'Иван' }
+  ])
+})
+
+it('filters by type after decryption', async () => {
+  let memory = new MemoryStore()
+  memory.get = async function (opts) {
+    let page = await MemoryStore.prototype.get.call(this, opts)
+    let next = page.entries.slice(1)
+    return {
+      entries: page.entries.slice(0, 1),
+      next: async () => ({ entries: next })
+    }
+  }
+  let store = createStore(memory)
+  await store.add({ type: 'users/add' }, { id: '1 n 0', time: 1 })
+  await store.add({ type: 'posts/add' }, { id: '2 n 0', time: 2 })
+  await store.add({ type: 'users/rename' }, { id: '3 n 0', time: 3 })
+
+  let first = await store.get({ order: 'created', type: 'users/*' })
+  let second = await first.next()
+  expect(first.entries.map(i => i[0].type)).toEqual(['users/add'])
+  expect(second.entries.map(i => i[0].type)).toEqual(['users/rename'])
+})
+
+it('changes encrypted meta', async () => {
+  let store = createStore()
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1, reasons: ['a'] })
+  expect(await store.changeMeta('1 n 0', { user: 1, reasons: ['b'] }))
+    .toBe(true)
+  expect(await store.changeMeta('2 n 0', { user: 2 })).toBe(false)
+  expect(await store.changeMeta('1 n 0', { reasons: ['c'] })).toBe(true)
+  expect(await store.byId('1 n 0')).toEqual([
+    { type: 'A' }, { id: '1 n 0', time: 1, added: 1, reasons: ['c'], user: 1 }
+  ])
+})
+
+it('rejects on wrong key', async () => {
+  let memory = new MemoryStore()
+  await createStore(memory).add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  let otherKey = nodeCrypto.randomBytes(32)
+  let other = new EncryptedStore(memory, { key: otherKey, crypto: webcrypto })
+  await expect(other.byId('1 n 0')).rejects.toBeDefined()
+  expect(await other.getLastAdded()).toEqual(1)
+  let node = new EncryptedStore(memory, { key: otherKey })
+  await expect(node.byId('1 n 0')).rejects.toBeDefined()
+})
+
+it('works with log', async () => {
+  let log = new Log({ nodeId: 'test', store: createStore() })
+  let cleaned = []
+  log.on('clean', (action, meta) => {
+    cleaned.push([action, meta.user])
+  })
+  await log.add({ type: 'A' }, { reasons: ['a'], user: 1 })
+  await log.add({ type: 'B' }, { keepLast: 'a', user: 2 })
+  expect(cleaned).toEqual([[{ type: 'A' }, 1]])
+  let actions = []
+  await log.each((action, meta) => {
+    actions.push([action, meta.user])
+  })
+  expect(actions).toEqual([[{ type: 'B' }, 2]])
+})
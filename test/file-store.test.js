@@ -0,0 +1,205 @@
+let { join } = require('path')
+let { tmpdir } = require('os')
+let fs = require('fs')
+
+let eachStoreCheck = require('../each-store-check')
+let FileStore = require('../file-store')
+let Log = require('../log')
+
+let file
+let last = 0
+
+beforeEach(() => {
+  last += 1
+  file = join(tmpdir(), `logux-file-store-${ process.pid }-${ last }.jsonl`)
+})
+
+afterEach(() => {
+  if (fs.existsSync(file)) fs.unlinkSync(file)
+})
+
+function read () {
+  return fs.readFileSync(file).toString()
+}
+
+function lines () {
+  return read().split('\n').slice(0, -1).map(i => JSON.parse(i))
+}
+
+eachStoreCheck((desc, creator) => {
+  it(desc, creator(() => new FileStore(file)))
+})
+
+it('checks file', () => {
+  expect(() => {
+    new FileStore()
+  }).toThrowError('Expected file')
+})
+
+it('restores actions from journal', async () => {
+  let store = new FileStore(file)
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1, reasons: ['a'] })
+  await store.add({ type: 'B' }, { id: '2 n 0', time: 2, reasons: ['a'] })
+  await store.add({ type: 'C' }, { id: '3 n 0', time: 3, reasons: ['b'] })
+  await store.add({ type: 'D' }, { id: '4 n 0', time: 4, reasons: ['b'] })
+  await store.remove('4 n 0')
+  await store.changeMeta('2 n 0', { status: 'ok' })
+  await store.removeReason('a', { id: '1 n 0' }, () => {})
+  await store.setLastSynced({ sent: 2 })
+  await store.saveSnapshot({ id: '1 n 0', time: 1, added: 1, state: 1 })
+
+  let restored = new FileStore(file)
+  let page = await restored.get({ order: 'added' })
+  expect(page.entries).toEqual([
+    [{ type: 'B' }, {
+      id: '2 n 0', time: 2, added: 2, reasons: ['a'], status: 'ok'
+    }],
+    [{ type: 'C' }, { id: '3 n 0', time: 3, added: 3, reasons: ['b'] }]
+  ])
+  expect(await restored.getLastAdded()).toEqual(4)
+  expect(await restored.getLastSynced()).toEqual({ sent: 2, received: 0 })
+  expect(await restored.getSnapshot()).toEqual({
+    id: '1 n 0', time: 1, added: 1, state: 1
+  })
+})
+
+it('recovers from broken last write', async () => {
+  fs.writeFileSync(file,
+    JSON.stringify(['add', { type: 'A' }, { id: '1 n 0', time: 1, added: 1 }]) +
+    '\n' + '["add",{"type":"B"},{"id":"2 n')
+  let store = new FileStore(file)
+  let page = await store.get({ order: 'created' })
+  expect(page.entries.map(i => i[0])).toEqual([{ type: 'A' }])
+  await store.add({ type: 'C' }, { id: '3 n 0', time: 3 })
+  expect(lines().map(i => i[1].type)).toEqual(['A', 'C'])
+})
+
+it('compacts journal', async () => {
+  let store = new FileStore(file, { compactAfter: 5 })
+  expect(store.compactAfter).toEqual(5)
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  await store.add({ type: 'B' }, { id: '2 n 0', time: 2 })
+  await store.remove('2 n 0')
+  await store.setLastSynced({ received: 1 })
+  await store.changeMeta('1 n 0', { a: 1 })
+  expect(lines()).toHaveLength(5)
+
+  await store.changeMeta('1 n 0', { a: 2 })
+  await store.compact()
+  expect(lines()).toEqual([
+    ['add', { type: 'A' }, { id: '1 n 0', time: 1, added: 1, a: 2 }],
+    ['last', 2],
+    ['synced', { received: 1, sent: 0 }]
+  ])
+  expect(fs.existsSync(`${ file }.tmp`)).toBe(false)
+
+  await store.add({ type: 'C' }, { id: '3 n 0', time: 3 })
+  let restored = new FileStore(file)
+  expect(await restored.getLastAdded()).toEqual(3)
+  let page = await restored.get({ order: 'added' })
+  expect(page.entries.map(i => i[1].added)).toEqual([1, 3])
+})
+
+it('compacts journal in background', async () => {
+  let store = new FileStore(file, { compactAfter: 2 })
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  await store.changeMeta('1 n 0', { a: 1 })
+  await store.changeMeta('1 n 0', { a: 2 })
+  await store.changeMeta('1 n 0', { a: 3 })
+  await store.queue
+  expect(lines()).toEqual([
+    ['add', { type: 'A' }, { id: '1 n 0', time: 1, added: 1, a: 3 }],
+    ['last', 1],
+    ['synced', { received: 0, sent: 0 }]
+  ])
+})
+
+it('compacts journal during writing', async () => {
+  let store = new FileStore(file)
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  let adding = store.add({ type: 'B' }, { id: '2 n 0', time: 2 })
+  await Promise.all([adding, store.compact()])
+  expect(lines().map(i => i[0])).toEqual(['add', 'add', 'last', 'synced'])
+
+  let restored = new FileStore(file)
+  expect(await restored.getLastAdded()).toEqual(2)
+  let meta = await restored.add({ type: 'C' }, { id: '3 n 0', time: 3 })
+  expect(meta.added).toEqual(3)
+})
+
+it('keeps last added on duplicate lines in journal', async () => {
+  let line = ['add', { type: 'A' }, { id: '1 n 0', time: 1, added: 1 }]
+  fs.writeFileSync(file, [
+    line,
+    ['add', { type: 'B' }, { id: '2 n 0', time: 2, added: 2 }],
+    line
+  ].map(i => JSON.stringify(i) + '\n').join(''))
+  let store = new FileStore(file)
+  expect(await store.getLastAdded()).toEqual(2)
+})
+
+it('restores scope data from journal', async () => {
+  let store = new FileStore(file)
+  await store.setScopeData('chat', { sent: 1 })
+  await store.setScopeData('chat', { received: 2 })
+  let restored = new FileStore(file)
+  expect(await restored.getScopeData('chat')).toEqual({
+    sent: 1, received: 2
+  })
+  await store.compact()
+  expect(lines()).toHaveLength(3)
+  expect(await new FileStore(file).getScopeData('chat')).toEqual({
+    sent: 1, received: 2
+  })
+})
+
+it('compacts journal with snapshot', async () => {
+  let store = new FileStore(file)
+  await store.saveSnapshot({ id: '1 n 0', time: 1, added: 1, state: 1 })
+  await store.compact()
+  expect(lines()).toHaveLength(3)
+  let restored = new FileStore(file)
+  expect((await restored.getSnapshot()).state).toEqual(1)
+})
+
+it('returns stats', async () => {
+  let store = new FileStore(file)
+  let log = new Log({ nodeId: 'test', store })
+  await log.add({ type: 'A' }, { reasons: ['a'] })
+  expect((await log.stats()).types).toEqual({ A: 1 })
+})
+
+it('rejects on file errors', async () => {
+  let dir = new FileStore(tmpdir())
+  let error
+  try {
+    await dir.getLastAdded()
+  } catch (e) {
+    error = e
+  }
+  expect(error.code).toEqual('EISDIR')
+
+  let missed = new FileStore(join(file, 'missed'))
+  error = undefined
+  try {
+    await missed.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  } catch (e) {
+    error = e
+  }
+  expect(error.code).toEqual('ENOENT')
+  await missed.setLastSynced({ sent: 1 }).catch(() => {})
+  expect(await missed.getLastSynced()).toEqual({ sent: 0, received: 0 })
+  expect(await missed.byId('1 n 0')).toEqual([null, null])
+
+  let store = new FileStore(file)
+  await store.getLastAdded()
+  fs.mkdirSync(file)
+  error = undefined
+  try {
+    await store.clean()
+  } catch (e) {
+    error = e
+  }
+  fs.rmdirSync(file)
+  expect(error.code).toEqual('EISDIR')
+})
@@ -1,10 +1,15 @@
 let ServerConnection = require('../server-connection')
+let EncryptedStore = require('../encrypted-store')
 let isFirstOlder = require('../is-first-older')
+let IndexedStore = require('../indexed-store')
 let WsConnection = require('../ws-connection')
 let MemoryStore = require('../memory-store')
+let Projection = require('../projection')
 let ClientNode = require('../client-node')
 let ServerNode = require('../server-node')
 let LoguxError = require('../logux-error')
+let FileStore = require('../file-store')
+let mergeLogs = require('../merge-logs')
 let LocalPair = require('../local-pair')
 let Reconnect = require('../reconnect')
 let BaseNode = require('../base-node')
@@ -25,6 +30,26 @@ it('has memory store class', () => {
   expect(core.MemoryStore).toBe(MemoryStore)
 })
 
+it('has encrypted store class', () => {
+  expect(core.EncryptedStore).toBe(EncryptedStore)
+})
+
+it('has IndexedDB store class', () => {
+  expect(core.IndexedStore).toBe(IndexedStore)
+})
+
+it('has file store class', () => {
+  expect(core.FileStore).toBe(FileStore)
+})
+
+it('has Projection class', () => {
+  expect(core.Projection).toBe(Projection)
+})
+
+it('has logs merge helper', () => {
+  expect(core.mergeLogs).toBe(mergeLogs)
+})
+
 it('has log class', () => {
   expect(core.Log).toBe(Log)
 })
@@ -0,0 +1,149 @@
+require('fake-indexeddb/auto')
+
+let eachStoreCheck = require('../each-store-check')
+let IndexedStore = require('../indexed-store')
+let Log = require('../log')
+
+let store
+
+afterEach(async () => {
+  if (store) await store.clean()
+  store = undefined
+})
+
+eachStoreCheck((desc, creator) => {
+  it(desc, creator(() => {
+    store = new IndexedStore()
+    return store
+  }))
+})
+
+function open (name, version) {
+  return new Promise((resolve, reject) => {
+    let request = indexedDB.open(name, version)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function all (page, list = []) {
+  list = page.entries.concat(list)
+  return page.next ? all(await page.next(), list) : list
+}
+
+it('throws without IndexedDB', () => {
+  let origin = global.indexedDB
+  delete global.indexedDB
+  try {
+    expect(() => {
+      new IndexedStore()
+    }).toThrowError('No IndexedDB support')
+  } finally {
+    global.indexedDB = origin
+  }
+})
+
+it('uses database name', async () => {
+  store = new IndexedStore('custom')
+  expect(store.name).toEqual('custom')
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  let db = await open('custom')
+  expect(Array.from(db.objectStoreNames)).toEqual(['extra', 'log'])
+  db.close()
+})
+
+it('loads actions by pages', async () => {
+  store = new IndexedStore()
+  for (let i = 1; i <= 250; i++) {
+    await store.add({ type: 'A' }, { id: `${ i } n 0`, time: 251 - i })
+  }
+
+  let page = await store.get({ order: 'added' })
+  expect(page.entries).toHaveLength(100)
+  expect(page.entries[0][1].added).toEqual(151)
+  expect(page.entries[99][1].added).toEqual(250)
+  let added = await all(page)
+  expect(added.map(i => i[1].added)).toEqual(
+    Array.from({ length: 250 }, (v, i) => i + 1)
+  )
+
+  let created = await all(await store.get({ order: 'created' }))
+  expect(created).toHaveLength(250)
+  expect(created[0][1].time).toEqual(1)
+  expect(created[249][1].time).toEqual(250)
+})
+
+it('filters actions by criteria', async () => {
+  store = new IndexedStore()
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  await store.add({ type: 'B' }, { id: '2 n 0', time: 2 })
+  let page = await store.get({ order: 'created', type: 'B' })
+  expect(page.entries.map(i => i[0])).toEqual([{ type: 'B' }])
+})
+
+it('shares database between stores', async () => {
+  store = new IndexedStore()
+  let another = new IndexedStore()
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  expect((await another.byId('1 n 0'))[0]).toEqual({ type: 'A' })
+  await another.clean()
+  expect(await store.getLastAdded()).toEqual(0)
+})
+
+it('rejects on database errors', async () => {
+  let db = await open('newer', 2)
+  db.close()
+  store = new IndexedStore('newer')
+  let error
+  try {
+    await store.getLastAdded()
+  } catch (e) {
+    error = e
+  }
+  expect(error.name).toEqual('VersionError')
+  store = new IndexedStore()
+})
+
+it('rejects on aborted transaction', async () => {
+  store = new IndexedStore()
+  await store.add({ type: 'A' }, { id: '1 n 0', time: 1 })
+  let db = await store.init()
+  let transaction = db.transaction
+  db.transaction = function (...args) {
+    let tx = transaction.apply(this, args)
+    tx.objectStore('log').add({ added: 1 })
+    return tx
+  }
+  let error
+  try {
+    await store.changeMeta('1 n 0', { a: 1 })
+  } catch (e) {
+    error = e
+  }
+  db.transaction = transaction
+  expect(error.name).toEqual('ConstraintError')
+  expect((await store.byId('1 n 0'))[1].a).toBeUndefined()
+})
+
+it('works with log', async () => {
+  store = new IndexedStore()
+  let log = new Log({ nodeId: 'test', store })
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(action.type)
+  })
+  await log.add({ type: 'A' }, { reasons: ['a'] })
+  await log.add({ type: 'B' }, { reasons: ['a', 'b'] })
+  await log.removeReason('a')
+  expect(cleaned).toEqual(['A'])
+  let actions = []
+  await log.each((action, meta) => {
+    actions.push([action.type, meta.reasons, meta.id])
+  })
+  expect(actions.map(i => i.slice(0, 2))).toEqual([['B', ['b']]])
+
+  await log.changeMeta(actions[0][2], { reasons: ['c'] })
+  await log.removeReason('b')
+  await log.removeReason('c')
+  expect(cleaned).toEqual(['A', 'B'])
+})
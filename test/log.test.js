@@ -1,5 +1,10 @@
+let { PassThrough, Writable } = require('stream')
+let delay = require('nanodelay')
+
+let isFirstOlder = require('../is-first-older')
 let MemoryStore = require('../memory-store')
 let Log = require('../log')
+let LoguxError = require('../logux-error')
 
 function createLog () {
   return new Log({
@@ -176,6 +181,189 @@ it('supports multi-pages stores', async () => {
   expect(actions).toEqual(['a', 'b'])
 })
 
+it('iterates through memory store pages', async () => {
+  let log = new Log({ nodeId: 'test', store: new MemoryStore({ pageSize: 2 }) })
+  for (let type of ['A', 'B', 'C', 'D', 'E']) {
+    await log.add({ type }, { reasons: ['test'] })
+  }
+  let actions = []
+  await log.each({ order: 'added' }, action => {
+    actions.push(action.type)
+    return action.type !== 'B'
+  })
+  expect(actions).toEqual(['E', 'D', 'C', 'B'])
+})
+
+it('filters entries by criteria', async () => {
+  let log = await logWith([
+    [{ type: 'users/add' }, { id: '1 a 0', reasons: ['a'] }],
+    [{ type: 'users/rename' }, { id: '2 b 0', reasons: ['a', 'b'] }],
+    [{ type: 'users' }, { id: '3 a 0', reasons: ['a'] }],
+    [{ type: 'posts/add' }, { id: '4 a 0', reasons: ['b'] }],
+    [{ type: 'users/remove' }, { id: '5 a 0', reasons: ['a'] }]
+  ])
+  async function types (opts) {
+    let result = []
+    await log.each(opts, action => {
+      result.push(action.type)
+    })
+    return result
+  }
+  expect(await types({ type: 'users' })).toEqual(['users'])
+  expect(await types({ type: 'users/*' })).toEqual([
+    'users/remove', 'users/rename', 'users/add'
+  ])
+  expect(await types({ minTime: 2, maxTime: 4 })).toEqual([
+    'posts/add', 'users', 'users/rename'
+  ])
+  expect(await types({ order: 'added', minAdded: 4 })).toEqual([
+    'users/remove', 'posts/add'
+  ])
+  expect(await types({ maxAdded: 1 })).toEqual(['users/add'])
+  expect(await types({ reason: 'b' })).toEqual(['posts/add', 'users/rename'])
+  expect(await types({ nodeId: 'b' })).toEqual(['users/rename'])
+  expect(await types({ type: 'users/*', reason: 'b' })).toEqual([
+    'users/rename'
+  ])
+
+  let opts = { type: 'users' }
+  await types(opts)
+  expect(opts).toEqual({ type: 'users' })
+})
+
+it('filters entries from stores without criteria support', async () => {
+  let store = {
+    async get () {
+      return {
+        entries: [
+          [{ type: 'A' }, { id: '1 n 0', time: 1, added: 1, reasons: ['a'] }],
+          [{ type: 'B' }, { id: '2 n 0', time: 2, added: 2, reasons: ['a'] }]
+        ]
+      }
+    }
+  }
+  let log = new Log({ nodeId: 'test', store })
+
+  let actions = []
+  await log.each({ type: 'A' }, action => {
+    actions.push(action)
+  })
+  expect(actions).toEqual([{ type: 'A' }])
+})
+
+it('rejects iteration on store error', async () => {
+  let error = new Error('test')
+  let store = {
+    async get () {
+      return {
+        entries: [['a', 'a']],
+        async next () {
+          throw error
+        }
+      }
+    }
+  }
+  let log = new Log({ nodeId: 'test', store })
+
+  let err
+  try {
+    await log.each(() => { })
+  } catch (e) {
+    err = e
+  }
+  expect(err).toBe(error)
+})
+
+it('iterates entries by async iterator', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '3 n 0', reasons: ['test'] }],
+    [{ type: 'B' }, { id: '2 n 0', reasons: ['test'] }],
+    [{ type: 'C' }, { id: '1 n 0', reasons: ['test'] }]
+  ])
+  let created = []
+  for await (let [action, meta] of log.iterate()) {
+    created.push([action.type, meta.added])
+  }
+  expect(created).toEqual([['A', 1], ['B', 2], ['C', 3]])
+  let added = []
+  for await (let [action] of log.iterate({ order: 'added', type: 'B' })) {
+    added.push(action.type)
+  }
+  expect(added).toEqual(['B'])
+})
+
+it('loads store pages on demand in async iterator', async () => {
+  let calls = []
+  let store = {
+    async get (opts) {
+      calls.push(opts.order)
+      return {
+        entries: [['a', { }], ['b', { }]],
+        async next () {
+          calls.push('next')
+          return { entries: [['c', { }]] }
+        }
+      }
+    }
+  }
+  let log = new Log({ nodeId: 'test', store })
+
+  let actions = []
+  for await (let [action] of log.iterate()) {
+    actions.push(action)
+  }
+  expect(actions).toEqual(['b', 'a', 'c'])
+  expect(calls).toEqual(['created', 'next'])
+
+  calls = []
+  actions = []
+  for await (let [action] of log.iterate()) {
+    actions.push(action)
+    break
+  }
+  expect(actions).toEqual(['b'])
+  expect(calls).toEqual(['created'])
+})
+
+it('stops async iterator after return', async () => {
+  let loaded
+  let store = {
+    get () {
+      return new Promise(resolve => {
+        loaded = resolve
+      })
+    }
+  }
+  let log = new Log({ nodeId: 'test', store })
+
+  let iterator = log.iterate()
+  let first = iterator.next()
+  expect(await iterator.return()).toEqual({ done: true, value: undefined })
+  loaded({ entries: [['a', { }]] })
+  expect(await first).toEqual({ done: true, value: undefined })
+  expect(await iterator.next()).toEqual({ done: true, value: undefined })
+})
+
+it('throws store errors from async iterator', async () => {
+  let error = new Error('test')
+  let store = {
+    async get () {
+      throw error
+    }
+  }
+  let log = new Log({ nodeId: 'test', store })
+
+  let err
+  try {
+    for await (let entry of log.iterate()) {
+      expect(entry).toBeUndefined()
+    }
+  } catch (e) {
+    err = e
+  }
+  expect(err).toBe(error)
+})
+
 it('copies time from ID', async () => {
   let log = await logWith([
     [{ type: 'TIMED' }, { id: '100 n 0', reasons: ['test'] }]
@@ -231,6 +419,48 @@ it('always generates biggest ID', () => {
   expect(log.generateId()).toEqual('10 test 1')
 })
 
+it('moves hybrid clock by remote IDs', () => {
+  let log = new Log({
+    nodeId: 'test', store: new MemoryStore(), hybridClock: true
+  })
+  let times = [10, 10, 11, 12, 13, 30]
+  Date.now = () => times.shift()
+
+  expect(log.generateId()).toEqual('10 test 0')
+  log.updateClock('20 remote 5')
+  expect(log.generateId()).toEqual('21 test 0')
+  log.updateClock('20 remote 3')
+  log.updateClock('20 remote 9')
+  log.updateClock('15 remote 10')
+  log.updateClock('19')
+  expect(log.generateId()).toEqual('21 test 1')
+  log.updateClock('20')
+  expect(log.generateId()).toEqual('21 test 2')
+  log.updateClock('21 remote 0')
+  expect(log.generateId()).toEqual('22 test 0')
+  expect(log.generateId()).toEqual('30 test 0')
+})
+
+it('keeps causality with bigger remote node ID', async () => {
+  let log = new Log({
+    nodeId: 'a', store: new MemoryStore(), hybridClock: true
+  })
+  Date.now = () => 10
+  let remote = { id: '99999999999999 server 0', time: 99999999999999 }
+  await log.add({ type: 'remote' }, { ...remote, reasons: ['test'] })
+  log.updateClock(remote.id)
+  let meta = await log.add({ type: 'local' }, { reasons: ['test'] })
+  expect(isFirstOlder(remote, meta)).toBe(true)
+  checkActions(log, [{ type: 'remote' }, { type: 'local' }])
+})
+
+it('ignores remote IDs without hybrid clock', () => {
+  let log = createLog()
+  Date.now = () => 10
+  log.updateClock('20 remote 5')
+  expect(log.generateId()).toEqual('10 test 0')
+})
+
 it('changes meta', async () => {
   let log = await logWith([
     [{ type: 'A' }, { reasons: ['t'], id: '1 node 0' }],
@@ -439,6 +669,368 @@ it('allows to set keepLast in preadd', async () => {
   await checkActions(log, [{ type: '3' }])
 })
 
+it('adds actions in batch', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }]
+  ])
+  let events = []
+  log.on('add', (action, meta) => {
+    events.push(['add', action.type, meta.added])
+  })
+  log.on('clean', action => {
+    events.push(['clean', action.type])
+  })
+
+  let result = await log.addBatch([
+    [{ type: 'B' }, { id: '3 n 0', reasons: ['test'] }],
+    [{ type: 'C' }],
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }],
+    [{ type: 'D' }, { id: '1 n 0' }],
+    [{ type: 'E' }, { id: '2 n 0', reasons: 'test' }]
+  ])
+  expect(result).toEqual([
+    { id: '3 n 0', time: 3, added: 2, reasons: ['test'] },
+    { id: expect.any(String), time: expect.any(Number), reasons: [] },
+    false,
+    false,
+    { id: '2 n 0', time: 2, added: 3, reasons: ['test'] }
+  ])
+  expect(events).toEqual([
+    ['add', 'B', 2],
+    ['add', 'C', undefined],
+    ['clean', 'C'],
+    ['add', 'E', 3]
+  ])
+  checkActions(log, [{ type: 'A' }, { type: 'E' }, { type: 'B' }])
+})
+
+it('uses store batch method', async () => {
+  let log = createLog()
+  let batches = []
+  log.store.addBatch = async entries => {
+    batches.push(entries.map(i => i[0].type))
+    return Promise.all(entries.map(i => log.store.add(i[0], i[1])))
+  }
+  await log.addBatch([
+    [{ type: 'A' }, { reasons: ['test'] }],
+    [{ type: 'B' }],
+    [{ type: 'C' }, { reasons: ['test'] }]
+  ])
+  expect(batches).toEqual([['A', 'C']])
+  checkActions(log, [{ type: 'A' }, { type: 'C' }])
+})
+
+it('does not add batch on error in preadd', async () => {
+  let log = createLog()
+  log.on('preadd', action => {
+    if (action.type === 'B') throw new Error('test')
+  })
+  let added = []
+  log.on('add', action => {
+    added.push(action)
+  })
+  expect(() => {
+    log.addBatch([
+      [{ type: 'A' }, { reasons: ['test'] }],
+      [{ type: 'B' }, { reasons: ['test'] }]
+    ])
+  }).toThrowError('test')
+  await log.add({ type: 'C' }, { reasons: ['test'] })
+  expect(added).toEqual([{ type: 'C' }])
+  checkActions(log, [{ type: 'C' }])
+})
+
+it('supports keepLast in batch', async () => {
+  let log = await logWith([
+    [{ type: '1' }, { id: '1 n 0', keepLast: 'a' }]
+  ])
+  let result = await log.addBatch([
+    [{ type: '3' }, { id: '3 n 0', keepLast: 'a' }],
+    [{ type: '2' }, { id: '2 n 0', keepLast: 'a' }],
+    [{ type: '4' }, { id: '4 n 0', keepLast: 'a' }]
+  ])
+  expect(result.map(i => i.reasons)).toEqual([[], [], ['a']])
+  checkActions(log, [{ type: '4' }])
+})
+
+it('keeps older actions on batch error', async () => {
+  let log = await logWith([
+    [{ type: 'old' }, { id: '1 n 0', keepLast: 'a' }],
+    [{ type: 'key' }, { id: '2 n 0', keepLast: { reason: 'b', key: 1 } }]
+  ])
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(action.type)
+  })
+  let error = new Error('test')
+  log.store.addBatch = async () => {
+    throw error
+  }
+  await expect(log.addBatch([
+    [{ type: 'new' }, { id: '3 n 0', keepLast: 'a' }],
+    [{ type: 'other' }, { id: '4 n 0', keepLast: { reason: 'b', key: 1 } }]
+  ])).rejects.toBe(error)
+  await delay(10)
+  expect(cleaned).toEqual([])
+  checkActions(log, [{ type: 'old' }, { type: 'key' }])
+})
+
+it('saves snapshot and removes covered actions', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }],
+    [{ type: 'C' }, { id: '3 n 0', reasons: ['test'] }],
+    [{ type: 'B' }, { id: '2 n 0', reasons: ['test'] }],
+    [{ type: 'D' }, { id: '4 n 0', reasons: ['test'] }]
+  ])
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(action.type)
+  })
+  let snapshot = await log.snapshot(3, { count: 3 })
+  expect(snapshot).toEqual({
+    id: expect.any(String), time: 3, added: 3, state: { count: 3 }
+  })
+  expect(await log.store.getSnapshot()).toEqual(snapshot)
+  expect(cleaned.sort()).toEqual(['A', 'B', 'C'])
+  checkActions(log, [{ type: 'D' }])
+})
+
+it('uses current time for snapshot of empty log', async () => {
+  let log = createLog()
+  Date.now = () => 100
+  let snapshot = await log.snapshot(0, { })
+  expect(snapshot).toEqual({
+    id: '100 test 0', time: 100, added: 0, state: { }
+  })
+})
+
+it('requires store with snapshots support', () => {
+  let log = createLog()
+  log.store.saveSnapshot = undefined
+  expect(() => {
+    log.snapshot(1, { })
+  }).toThrowError(/snapshots/)
+})
+
+it('moves reasons to undo action', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['a', 'b'] }]
+  ])
+  let undone = []
+  log.on('undo', (action, meta, undo, undoMeta) => {
+    undone.push([action.type, meta.id, undo.id, undoMeta.id])
+  })
+  let cleaned = []
+  log.on('clean', (action, meta) => {
+    cleaned.push([action.type, meta.reasons])
+  })
+
+  let meta = await log.add(
+    { type: 'logux/undo', id: '1 n 0' }, { id: '2 n 0', reasons: ['b', 'c'] }
+  )
+  expect(meta.reasons).toEqual(['b', 'c', 'a'])
+  expect(undone).toEqual([['A', '1 n 0', '1 n 0', '2 n 0']])
+  expect(cleaned).toEqual([['A', ['a', 'b']]])
+
+  await log.add({ type: 'logux/undo', id: '3 n 0' }, { id: '4 n 0' })
+  await log.add({ type: 'logux/undo', id: '1 n 0' }, { id: '2 n 0' })
+  expect(undone).toHaveLength(1)
+  checkActions(log, [{ type: 'logux/undo', id: '1 n 0' }])
+})
+
+it('undoes action added after undo', async () => {
+  let log = createLog()
+  let events = []
+  log.on('undo', (action, meta, undo, undoMeta) => {
+    events.push(['undo', action.type, undoMeta.id])
+  })
+  log.on('clean', action => {
+    events.push(['clean', action.type])
+  })
+  await log.add(
+    { type: 'logux/undo', id: '1 t 0' }, { id: '2 t 0', reasons: ['a'] }
+  )
+  expect(log.undone).toEqual({
+    '1 t 0': [{ type: 'logux/undo', id: '1 t 0' }, expect.any(Object)]
+  })
+  let meta = await log.add({ type: 'A' }, { id: '1 t 0', reasons: ['a', 'b'] })
+  expect(meta.reasons).toEqual([])
+  expect(events).toEqual([['clean', 'A'], ['undo', 'A', '2 t 0']])
+  expect(log.undone).toEqual({ })
+  checkEntries(log, [
+    [
+      { type: 'logux/undo', id: '1 t 0' },
+      { id: '2 t 0', time: 2, added: 1, reasons: ['a', 'b'] }
+    ]
+  ])
+
+  await log.add({ type: 'B' }, { id: '3 t 0' })
+  await log.add({ type: 'logux/undo', id: '3 t 0' }, { id: '4 t 0' })
+  await log.add({ type: 'logux/undo', id: '5 t 0' }, { id: '6 t 0' })
+  await log.add({ type: 'C' }, { id: '5 t 0', reasons: ['c'] })
+  expect(log.undone).toEqual({ })
+  checkActions(log, [{ type: 'logux/undo', id: '1 t 0' }])
+})
+
+it('supports undo in batch', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['a'] }]
+  ])
+  let undone = []
+  log.on('undo', (action, meta, undo, undoMeta) => {
+    undone.push([action.type, undoMeta.id])
+  })
+  let result = await log.addBatch([
+    [{ type: 'B' }, { id: '2 n 0', reasons: ['b'] }],
+    [{ type: 'logux/undo', id: '1 n 0' }, { id: '3 n 0' }]
+  ])
+  expect(result[1].reasons).toEqual(['a'])
+  expect(undone).toEqual([['A', '3 n 0']])
+  checkActions(log, [{ type: 'B' }, { type: 'logux/undo', id: '1 n 0' }])
+})
+
+it('undoes action added in batch after undo', async () => {
+  let log = createLog()
+  let undone = []
+  log.on('undo', (action, meta, undo, undoMeta) => {
+    undone.push([action.type, undoMeta.id])
+  })
+  await log.addBatch([
+    [{ type: 'logux/undo', id: '1 t 0' }, { id: '2 t 0', reasons: ['a'] }]
+  ])
+  await log.add({ type: 'A' }, { id: '1 t 0', reasons: ['a'] })
+  let result = await log.addBatch([
+    [{ type: 'logux/undo', id: '3 t 0' }, { id: '4 t 0', reasons: ['b'] }]
+  ])
+  expect(result[0].reasons).toEqual(['b'])
+  result = await log.addBatch([
+    [{ type: 'B' }, { id: '3 t 0', reasons: ['c'] }],
+    [{ type: 'C' }, { id: '5 t 0', reasons: ['c'] }]
+  ])
+  expect(result.map(i => i.reasons)).toEqual([[], ['c']])
+  expect(undone).toEqual([['A', '2 t 0'], ['B', '4 t 0']])
+  checkActions(log, [
+    { type: 'logux/undo', id: '1 t 0' },
+    { type: 'logux/undo', id: '3 t 0' },
+    { type: 'C' }
+  ])
+  expect(log.store.created[1][1].reasons).toEqual(['b', 'c'])
+})
+
+it('removes reasons by time to live', async () => {
+  let log = createLog()
+  Date.now = () => 100
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(action.type)
+  })
+  await log.add({ type: 'A' }, { id: '10 n 0', reasons: ['cache', 'b'] })
+  await log.add({ type: 'B' }, { id: '40 n 0', reasons: ['cache'] })
+  await log.add({ type: 'C' }, { id: '60 n 0', reasons: ['cache'] })
+  expect(cleaned).toEqual([])
+
+  let meta = await log.add({ type: 'D' }, {
+    id: '90 n 0', reasons: [{ name: 'cache', ttl: 50 }]
+  })
+  expect(meta.reasons).toEqual(['cache'])
+  expect(cleaned).toEqual(['B'])
+  await log.add({ type: 'E' }, { id: '50 n 0', reasons: ['cache'] })
+  expect(cleaned).toEqual(['B'])
+  checkEntries(log, [
+    [{ type: 'A' }, { id: '10 n 0', time: 10, added: 1, reasons: ['b'] }],
+    [{ type: 'E' }, { id: '50 n 0', time: 50, added: 5, reasons: ['cache'] }],
+    [{ type: 'C' }, { id: '60 n 0', time: 60, added: 3, reasons: ['cache'] }],
+    [{ type: 'D' }, { id: '90 n 0', time: 90, added: 4, reasons: ['cache'] }]
+  ])
+
+  Date.now = () => 200
+  await log.cleanReasons()
+  expect(cleaned).toEqual(['B', 'E', 'C', 'D'])
+})
+
+it('removes reasons by time to live timer', async () => {
+  let log = createLog()
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(action.type)
+  })
+  let now = Date.now()
+  await log.add({ type: 'A' }, {
+    id: `${ now } n 0`, reasons: [{ name: 'cache', ttl: 10 }]
+  })
+  await log.add({ type: 'B' }, { id: `${ now + 20 } n 0`, reasons: ['cache'] })
+  await log.add({ type: 'C' }, { id: `${ now } n 1`, reasons: ['other'] })
+  expect(cleaned).toEqual([])
+
+  await delay(15)
+  expect(cleaned).toEqual(['A'])
+  await delay(20)
+  expect(cleaned).toEqual(['A', 'B'])
+  checkActions(log, [{ type: 'C' }])
+})
+
+it('applies reason policy from meta to previous actions', async () => {
+  let log = createLog()
+  Date.now = () => 100
+  await log.add({ type: 'A' }, { id: '10 n 0', reasons: ['cache'] })
+  await log.add({ type: 'B' }, { id: '20 n 0', reasons: ['cache'] })
+  await log.add({ type: 'C' }, {
+    id: '90 n 0', reasons: [{ name: 'cache', maxEntries: 2 }]
+  })
+  expect(log.reasonPolicies).toEqual({
+    cache: { ttl: undefined, maxEntries: 2 }
+  })
+  checkActions(log, [{ type: 'B' }, { type: 'C' }])
+
+  await log.add({ type: 'D' }, { id: '95 n 0', reasons: ['cache'] })
+  checkActions(log, [{ type: 'C' }, { type: 'D' }])
+})
+
+it('merges reason policy from meta', async () => {
+  let log = createLog()
+  log.addReasonPolicy('cache', { maxEntries: 2 })
+  await log.add({ type: 'A' }, { reasons: [{ name: 'cache', ttl: 1000 }] })
+  expect(log.reasonPolicies).toEqual({
+    cache: { ttl: 1000, maxEntries: 2 }
+  })
+  await log.add({ type: 'B' }, { reasons: [{ name: 'cache', maxEntries: 3 }] })
+  expect(log.reasonPolicies).toEqual({
+    cache: { ttl: 1000, maxEntries: 3 }
+  })
+})
+
+it('keeps only last entries for reason', async () => {
+  let log = createLog()
+  log.addReasonPolicy('last', { maxEntries: 2 })
+  await log.add({ type: 'A' }, { id: '1 n 0', reasons: ['last', 'b'] })
+  await log.add({ type: 'C' }, { id: '3 n 0', reasons: ['last'] })
+  await log.add({ type: 'B' }, { id: '2 n 0', reasons: ['last'] })
+  checkEntries(log, [
+    [{ type: 'A' }, { id: '1 n 0', time: 1, added: 1, reasons: ['b'] }],
+    [{ type: 'B' }, { id: '2 n 0', time: 2, added: 3, reasons: ['last'] }],
+    [{ type: 'C' }, { id: '3 n 0', time: 3, added: 2, reasons: ['last'] }]
+  ])
+  await log.addBatch([
+    [{ type: 'D' }, { id: '4 n 0', reasons: ['last'] }],
+    [{ type: 'E' }, { id: '5 n 0', reasons: [{ name: 'last', maxEntries: 1 }] }]
+  ])
+  checkActions(log, [{ type: 'A' }, { type: 'E' }])
+  await log.cleanReasons()
+  checkActions(log, [{ type: 'A' }, { type: 'E' }])
+})
+
+it('checks reason objects', () => {
+  let log = createLog()
+  expect(() => {
+    log.add({ type: 'A' }, { reasons: [{ ttl: 1 }] })
+  }).toThrowError('Expected "name" in reason')
+  expect(() => {
+    log.add({ type: 'A' }, { reasons: [null] })
+  }).toThrowError('Expected "reasons" to be strings')
+  log.add({ type: 'A' }, { reasons: [{ name: 'a' }] })
+  expect(log.reasonPolicies).toEqual({ })
+})
+
 it('ensures `reasons` to be array of string values', async () => {
   let log = createLog()
 
@@ -454,3 +1046,858 @@ it('ensures `reasons` to be array of string values', async () => {
   }
   expect(err.message).toEqual('Expected "reasons" to be strings')
 })
+
+it('runs middlewares before saving action', async () => {
+  let log = createLog()
+  let calls = []
+  log.use(async (action, meta, next) => {
+    calls.push(['first', action.type, meta.reasons])
+    let result = await next({ type: 'B' }, { ...meta, reasons: ['test'] })
+    calls.push(['first end', result.id])
+  })
+  log.use((action, meta, next) => {
+    calls.push(['second', action.type, meta.reasons])
+    return next()
+  })
+  let added = []
+  log.on('add', action => {
+    added.push(action.type)
+  })
+
+  let meta = await log.add({ type: 'A' }, { id: '1 n 0' })
+  expect(meta.reasons).toEqual(['test'])
+  expect(calls).toEqual([
+    ['first', 'A', []],
+    ['second', 'B', ['test']],
+    ['first end', '1 n 0']
+  ])
+  expect(added).toEqual(['B'])
+  checkActions(log, [{ type: 'B' }])
+})
+
+it('merges meta from middleware with current meta', async () => {
+  let log = createLog()
+  log.use((action, meta, next) => next(action, { reasons: ['test'], a: 1 }))
+  let meta = await log.add({ type: 'A' }, { id: '1 n 0', b: 2 })
+  expect(meta).toEqual({
+    id: '1 n 0', time: 1, added: 1, reasons: ['test'], a: 1, b: 2
+  })
+  checkEntries(log, [[{ type: 'A' }, meta]])
+})
+
+it('rejects actions by middleware', async () => {
+  let log = createLog()
+  log.use(async (action, meta, next) => {
+    if (action.type === 'A') return
+    if (action.type === 'B') throw new Error('test')
+    await next()
+  })
+  let added = []
+  log.on('add', action => {
+    added.push(action.type)
+  })
+
+  let error1
+  try {
+    await log.add({ type: 'A' }, { reasons: ['test'] })
+  } catch (e) {
+    error1 = e
+  }
+  expect(error1.name).toEqual('LoguxError')
+  expect(error1.type).toEqual('rejected')
+  expect(error1.options).toEqual({ action: { type: 'A' } })
+  expect(error1.message).toEqual('Action A was rejected by middleware')
+
+  let error2
+  try {
+    await log.add({ type: 'B' }, { reasons: ['test'] })
+  } catch (e) {
+    error2 = e
+  }
+  expect(error2.type).toEqual('rejected')
+  expect(error2.options.error.message).toEqual('test')
+  expect(error2.message).toEqual('Action B was rejected by middleware: test')
+
+  await log.add({ type: 'C' }, { reasons: ['test'] })
+  expect(added).toEqual(['C'])
+  checkActions(log, [{ type: 'C' }])
+})
+
+it('keeps errors after middleware passed action', async () => {
+  let log = createLog()
+  let error = new Error('store')
+  log.store.add = () => Promise.reject(error)
+  log.use((action, meta, next) => next())
+  let error1
+  try {
+    await log.add({ type: 'A' }, { reasons: ['test'] })
+  } catch (e) {
+    error1 = e
+  }
+  expect(error1).toBe(error)
+
+  let custom = new LoguxError('timeout', 10)
+  log.use(() => {
+    throw custom
+  })
+  let error2
+  try {
+    await log.add({ type: 'A' }, { reasons: ['test'] })
+  } catch (e) {
+    error2 = e
+  }
+  expect(error2).toBe(custom)
+})
+
+it('removes middleware', async () => {
+  let log = createLog()
+  let unbind = log.use(() => { })
+  unbind()
+  unbind()
+  await log.add({ type: 'A' }, { reasons: ['test'] })
+  checkActions(log, [{ type: 'A' }])
+})
+
+it('runs middlewares for batch', async () => {
+  let log = createLog()
+  let results = []
+  log.use(async (action, meta, next) => {
+    if (action.type === 'B') {
+      results.push(await next({ type: 'C' }))
+    } else if (action.type !== 'D') {
+      results.push(await next())
+    }
+  })
+
+  let metas = await log.addBatch([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }],
+    [{ type: 'B' }, { id: '2 n 0', reasons: ['test'] }]
+  ])
+  expect(metas.map(i => i.id)).toEqual(['1 n 0', '2 n 0'])
+  expect(results).toEqual(metas)
+  checkActions(log, [{ type: 'A' }, { type: 'C' }])
+
+  let error
+  try {
+    await log.addBatch([
+      [{ type: 'E' }, { reasons: ['test'] }],
+      [{ type: 'D' }, { reasons: ['test'] }]
+    ])
+  } catch (e) {
+    error = e
+  }
+  expect(error.type).toEqual('rejected')
+  checkActions(log, [{ type: 'A' }, { type: 'C' }])
+})
+
+function collect (stream) {
+  let data = ''
+  stream.on('data', chunk => {
+    data += chunk
+  })
+  return () => data
+}
+
+it('exports log to stream', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }],
+    [{ type: 'B' }, { id: '3 n 0', reasons: ['test'] }],
+    [{ type: 'C' }, { id: '2 n 0', reasons: ['test'] }]
+  ])
+  await log.store.setLastSynced({ received: 1, sent: 2 })
+
+  let created = new PassThrough()
+  let getCreated = collect(created)
+  await log.export(created)
+  expect(getCreated().split('\n')).toEqual([
+    '{"nodeId":"test","lastSynced":{"received":1,"sent":2}}',
+    '[{"type":"A"},{"id":"1 n 0","reasons":["test"],"time":1,"added":1}]',
+    '[{"type":"C"},{"id":"2 n 0","reasons":["test"],"time":2,"added":3}]',
+    '[{"type":"B"},{"id":"3 n 0","reasons":["test"],"time":3,"added":2}]',
+    ''
+  ])
+
+  let added = new PassThrough()
+  let getAdded = collect(added)
+  await log.export(added, { order: 'added' })
+  expect(getAdded().split('\n').map(i => i.slice(0, 13))).toEqual([
+    '{"nodeId":"te', '[{"type":"A"}', '[{"type":"B"}', '[{"type":"C"}', ''
+  ])
+})
+
+it('exports log page by page', async () => {
+  let log = new Log({ nodeId: 'test', store: new MemoryStore({ pageSize: 2 }) })
+  for (let i = 1; i <= 5; i++) {
+    await log.add({ type: `${ i }` }, { id: `${ 6 - i } n 0`, reasons: ['t'] })
+  }
+  let events = []
+  function track (page) {
+    let next = page.next
+    if (next) {
+      page.next = async () => {
+        events.push('page')
+        return track(await next())
+      }
+    }
+    return page
+  }
+  let get = log.store.get
+  log.store.get = async function (opts) {
+    events.push('page')
+    return track(await get.call(this, opts))
+  }
+  let lines = []
+  let stream = new Writable({
+    write (chunk, encoding, callback) {
+      events.push('write')
+      lines.push(chunk.toString())
+      callback()
+    }
+  })
+
+  await log.export(stream)
+  expect(events).toEqual([
+    'write', 'page', 'page', 'page',
+    'page', 'write', 'page', 'write', 'write', 'write', 'write'
+  ])
+  expect(lines.map(i => i.slice(0, 12))).toEqual([
+    '{"nodeId":"t',
+    '[{"type":"5"', '[{"type":"4"', '[{"type":"3"', '[{"type":"2"',
+    '[{"type":"1"'
+  ])
+
+  lines = []
+  await log.export(stream, { order: 'added' })
+  expect(lines.map(i => i.slice(0, 12)).slice(1)).toEqual([
+    '[{"type":"1"', '[{"type":"2"', '[{"type":"3"', '[{"type":"4"',
+    '[{"type":"5"'
+  ])
+})
+
+it('waits for drain on export', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { reasons: ['test'] }],
+    [{ type: 'B' }, { reasons: ['test'] }]
+  ])
+  let lines = []
+  let stream = new Writable({
+    highWaterMark: 1,
+    write (chunk, encoding, callback) {
+      lines.push(chunk.toString())
+      setTimeout(callback, 1)
+    }
+  })
+  await log.export(stream)
+  expect(lines).toHaveLength(3)
+})
+
+it('imports log from stream', async () => {
+  let from = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['a', 'b'] }],
+    [{ type: 'B' }, { id: '2 n 0', time: 10, reasons: ['b'] }]
+  ])
+  await from.store.setLastSynced({ received: 5, sent: 6 })
+  let stream = new PassThrough()
+  await from.export(stream)
+  stream.end()
+
+  let log = await logWith([
+    [{ type: 'C' }, { id: '3 n 0', reasons: ['c'] }]
+  ])
+  await log.import(stream)
+  checkEntries(log, [
+    [{ type: 'A' }, { id: '1 n 0', time: 1, added: 2, reasons: ['a', 'b'] }],
+    [{ type: 'C' }, { id: '3 n 0', time: 3, added: 1, reasons: ['c'] }],
+    [{ type: 'B' }, { id: '2 n 0', time: 10, added: 3, reasons: ['b'] }]
+  ])
+  expect(await log.store.getLastSynced()).toEqual({ received: 5, sent: 6 })
+})
+
+it('keeps reasons of keepLast actions on import', async () => {
+  let from = createLog()
+  await from.add({ type: 'A' }, { id: '1 n 0', keepLast: 'a' })
+  await from.add({ type: 'B' }, {
+    id: '2 n 0', keepLast: { reason: 'b', key: 'k' }
+  })
+  let stream = new PassThrough()
+  await from.export(stream)
+  stream.end()
+
+  let log = createLog()
+  await log.import(stream)
+  checkEntries(log, [
+    [{ type: 'A' }, {
+      id: '1 n 0', time: 1, added: 1, keepLast: 'a', reasons: ['a']
+    }],
+    [{ type: 'B' }, {
+      id: '2 n 0',
+      time: 2,
+      added: 2,
+      keepLast: { reason: 'b', key: 'k' },
+      reasons: ['b']
+    }]
+  ])
+
+  await log.add({ type: 'C' }, {
+    id: '3 n 0', keepLast: { reason: 'b', key: 'k' }
+  })
+  checkActions(log, [{ type: 'A' }, { type: 'C' }])
+})
+
+it('imports log from chunks', async () => {
+  let stream = new PassThrough()
+  let log = createLog()
+  let importing = log.import(stream)
+  stream.write('{"nodeId":"n","lastSynced":{"received":1,"sent":1}}\n[{"ty')
+  stream.write('pe":"A"},{"id":"1 n 0","time":1,"reasons":["t"],"added":1}]')
+  stream.end()
+  await importing
+  checkActions(log, [{ type: 'A' }])
+})
+
+it('imports empty stream', async () => {
+  let stream = new PassThrough()
+  let log = createLog()
+  stream.end()
+  await log.import(stream)
+  expect(await log.store.getLastSynced()).toEqual({ received: 0, sent: 0 })
+})
+
+it('rejects import on broken line', async () => {
+  let stream = new PassThrough()
+  let log = createLog()
+  let importing = log.import(stream)
+  stream.write('{"nodeId":"n","lastSynced":{"received":1,"sent":1}}\n')
+  stream.write('[{"type":"A"}\n')
+  let error
+  try {
+    await importing
+  } catch (e) {
+    error = e
+  }
+  expect(error.name).toEqual('SyntaxError')
+})
+
+it('rejects import on stream error', async () => {
+  let stream = new PassThrough()
+  let log = createLog()
+  let importing = log.import(stream)
+  let error = new Error('test')
+  stream.emit('error', error)
+  await expect(importing).rejects.toBe(error)
+})
+
+it('keeps reason for last action by key', async () => {
+  let log = await logWith([
+    [{ type: '1' }, { id: '1 n 0', keepLast: { reason: 'pos', key: 'a' } }],
+    [{ type: '2' }, { id: '2 n 0', keepLast: { reason: 'pos', key: 'b' } }],
+    [{ type: '3' }, { id: '3 n 0', keepLast: { reason: 'pos', key: 'a' } }],
+    [{ type: '4' }, { id: '4 n 0', keepLast: { reason: 'pos', key: 1 } }]
+  ])
+  checkActions(log, [{ type: '2' }, { type: '3' }, { type: '4' }])
+
+  let old = await log.add(
+    { type: '0' }, { id: '0 n 0', keepLast: { reason: 'pos', key: 'a' } }
+  )
+  expect(old.reasons).toEqual([])
+  checkActions(log, [{ type: '2' }, { type: '3' }, { type: '4' }])
+
+  await log.add({ type: '6' }, {
+    id: '6 n 0', reasons: ['other'], keepLast: { reason: 'pos', key: 'a' }
+  })
+  checkEntries(log, [
+    [{ type: '2' }, {
+      id: '2 n 0',
+      time: 2,
+      added: 2,
+      reasons: ['pos'],
+      keepLast: { reason: 'pos', key: 'b' }
+    }],
+    [{ type: '4' }, {
+      id: '4 n 0',
+      time: 4,
+      added: 4,
+      reasons: ['pos'],
+      keepLast: { reason: 'pos', key: 1 }
+    }],
+    [{ type: '6' }, {
+      id: '6 n 0',
+      time: 6,
+      added: 5,
+      reasons: ['other', 'pos'],
+      keepLast: { reason: 'pos', key: 'a' }
+    }]
+  ])
+})
+
+it('supports keyed keepLast in batch', async () => {
+  let log = await logWith([
+    [{ type: '3' }, { id: '3 n 0', keepLast: { reason: 'pos', key: 'a' } }]
+  ])
+  let result = await log.addBatch([
+    [{ type: '2' }, { id: '2 n 0', keepLast: { reason: 'pos', key: 'a' } }],
+    [{ type: '5' }, { id: '5 n 0', keepLast: { reason: 'pos', key: 'b' } }],
+    [{ type: '4' }, { id: '4 n 0', keepLast: { reason: 'pos', key: 'b' } }],
+    [{ type: '6' }, { id: '6 n 0', keepLast: { reason: 'pos', key: 'b' } }],
+    [{ type: '7' }, { id: '7 n 0', reasons: ['test'] }]
+  ])
+  expect(result.map(i => i.reasons)).toEqual([[], [], [], ['pos'], ['test']])
+  checkActions(log, [{ type: '3' }, { type: '6' }, { type: '7' }])
+})
+
+it('continues keyed keepLast after error', async () => {
+  let log = createLog()
+  let error = new Error('test')
+  let add = log.store.add
+  log.store.add = () => Promise.reject(error)
+  let keepLast = { reason: 'pos', key: 'a' }
+  await expect(log.add({ type: 'A' }, { keepLast })).rejects.toBe(error)
+  log.store.add = add
+  await log.add({ type: 'B' }, { keepLast })
+  checkActions(log, [{ type: 'B' }])
+})
+
+it('checks keyed keepLast', () => {
+  let log = createLog()
+  expect(() => {
+    log.add({ type: 'A' }, { keepLast: { key: 'a' } })
+  }).toThrowError('Expected "reason" in keepLast')
+})
+
+it('listens actions by type', async () => {
+  let log = createLog()
+  let calls = []
+  log.type('users/rename', (action, meta) => {
+    calls.push(['rename', action.type, meta.id])
+  })
+  let unbindPrefix = log.type('users/*', action => {
+    calls.push(['users', action.type])
+  })
+  log.type('users/add', action => {
+    calls.push(['preadd', action.type])
+  }, { event: 'preadd' })
+  log.type('users/*', action => {
+    calls.push(['clean', action.type])
+  }, { event: 'clean' })
+
+  await log.add({ type: 'users/rename' }, { id: '1 n 0', reasons: ['test'] })
+  await log.add({ type: 'users/add' }, { reasons: ['test'] })
+  await log.add({ type: 'posts/add' }, { reasons: ['test'] })
+  await log.removeReason('test', { id: '1 n 0' })
+  expect(calls).toEqual([
+    ['rename', 'users/rename', '1 n 0'],
+    ['users', 'users/rename'],
+    ['preadd', 'users/add'],
+    ['users', 'users/add'],
+    ['clean', 'users/rename']
+  ])
+
+  calls = []
+  unbindPrefix()
+  unbindPrefix()
+  await log.add({ type: 'users/rename' }, { id: '2 n 0', reasons: ['test'] })
+  await log.add({ type: 'users/remove' }, { reasons: ['test'] })
+  expect(calls).toEqual([['rename', 'users/rename', '2 n 0']])
+})
+
+it('unbinds type listener during event', async () => {
+  let log = createLog()
+  let calls = []
+  let unbind = log.type('A', () => {
+    calls.push(1)
+    unbind()
+  })
+  log.type('A', () => {
+    calls.push(2)
+  })
+  await log.add({ type: 'A' })
+  await log.add({ type: 'A' })
+  expect(calls).toEqual([1, 2, 2])
+})
+
+it('returns stats from store', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['a'] }],
+    [{ type: 'B' }, { id: '3 n 0', reasons: ['a', 'b'] }],
+    [{ type: 'A' }, { id: '2 n 0', reasons: ['b'] }]
+  ])
+  let stats = await log.stats()
+  expect(stats).toEqual({
+    count: 3,
+    types: { A: 2, B: 1 },
+    reasons: { a: 2, b: 2 },
+    minTime: 1,
+    maxTime: 3,
+    lastAdded: 3,
+    size: expect.any(Number)
+  })
+
+  log.store.stats = undefined
+  expect(await log.stats()).toEqual(stats)
+})
+
+it('returns stats for empty log without store support', async () => {
+  let log = createLog()
+  log.store.stats = undefined
+  expect(await log.stats()).toEqual({
+    count: 0,
+    types: { },
+    reasons: { },
+    minTime: undefined,
+    maxTime: undefined,
+    lastAdded: 0,
+    size: 0
+  })
+})
+
+it('waits for actions from after', async () => {
+  let log = await logWith([
+    [{ type: 'post' }, { id: '1 n 0', reasons: ['test'] }]
+  ])
+  let added = []
+  log.on('add', action => {
+    added.push(action.type)
+  })
+
+  let comment = log.add({ type: 'comment' }, {
+    id: '4 n 0', after: ['1 n 0', '2 n 0', '3 n 0'], reasons: ['test']
+  })
+  let like = log.add({ type: 'like' }, {
+    id: '5 n 0', after: '4 n 0', reasons: ['test']
+  })
+  let ready = log.add({ type: 'ready' }, { after: '1 n 0' })
+  await delay(10)
+  expect(added).toEqual(['ready'])
+
+  await log.add({ type: 'edit' }, { id: '3 n 0', reasons: ['test'] })
+  await log.add({ type: 'view' }, { id: '2 n 0' })
+  let meta = await comment
+  expect(meta.after).toEqual(['1 n 0', '2 n 0', '3 n 0'])
+  expect((await like).after).toEqual(['4 n 0'])
+  expect((await ready).after).toEqual(['1 n 0'])
+  expect(added).toEqual(['ready', 'edit', 'view', 'comment', 'like'])
+  expect(log.waiting).toEqual({ })
+})
+
+it('uses processed actions for after', async () => {
+  let log = createLog()
+  await log.add({ type: 'post' }, { id: '1 n 0' })
+  await log.add({ type: 'edit' }, { id: '2 n 0', reasons: ['test'] })
+  await log.removeReason('test')
+  checkActions(log, [])
+
+  let meta = await log.add({ type: 'comment' }, {
+    after: ['1 n 0', '2 n 0'], reasons: ['test']
+  })
+  expect(meta.after).toEqual(['1 n 0', '2 n 0'])
+  checkActions(log, [{ type: 'comment' }])
+
+  let like = log.add({ type: 'like' }, { after: '3 n 0' })
+  let share = log.add({ type: 'share' }, { after: '3 n 0' })
+  await log.add({ type: 'view' }, { id: '3 n 0' })
+  expect((await like).after).toEqual(['3 n 0'])
+  expect((await share).after).toEqual(['3 n 0'])
+  expect(log.waiting).toEqual({ })
+
+  for (let i = 0; i < 1000; i++) {
+    await log.add({ type: 'view' })
+  }
+  expect(log.seenOrder).toHaveLength(1000)
+  expect(log.seen['1 n 0']).toBeUndefined()
+})
+
+it('emits missing event on after timeout', async () => {
+  let log = new Log({
+    nodeId: 'test', store: new MemoryStore(), afterTimeout: 10
+  })
+  let missing = []
+  log.on('missing', (action, meta, ids) => {
+    missing.push([action.type, ids])
+  })
+  let result = await log.add({ type: 'A' }, {
+    after: ['1 n 0', '2 n 0', '1 n 0'], reasons: ['test']
+  })
+  expect(result).toBe(false)
+  expect(missing).toEqual([['A', ['1 n 0', '2 n 0']]])
+  expect(log.waiting).toEqual({ })
+
+  let waiting = log.add({ type: 'B' }, { after: '3 n 0', reasons: ['test'] })
+  await log.add({ type: 'C' }, { id: '3 n 0', reasons: ['test'] })
+  expect(await waiting).not.toBe(false)
+  await delay(20)
+  expect(missing).toHaveLength(1)
+})
+
+it('ignores dependency found after timeout', async () => {
+  let log = new Log({
+    nodeId: 'test', store: new MemoryStore(), afterTimeout: 10
+  })
+  log.store.byId = async () => {
+    await delay(20)
+    return [{ type: 'A' }, { id: '1 n 0' }]
+  }
+  let added = []
+  log.on('add', action => {
+    added.push(action.type)
+  })
+  expect(await log.add({ type: 'B' }, { after: '1 n 0' })).toBe(false)
+  await delay(20)
+  expect(added).toEqual([])
+})
+
+it('rejects after on store error', async () => {
+  let log = createLog()
+  let error = new Error('test')
+  log.store.byId = () => Promise.reject(error)
+  await expect(log.add({ type: 'A' }, { after: '1 n 0' })).rejects.toBe(error)
+})
+
+it('supports after in batch', async () => {
+  let log = createLog()
+  let added = []
+  log.on('add', action => {
+    added.push(action.type)
+  })
+  let result = await log.addBatch([
+    [{ type: 'comment' }, { id: '2 n 0', after: '1 n 0', reasons: ['test'] }],
+    [{ type: 'post' }, { id: '1 n 0' }],
+    [{ type: 'other' }, { id: '3 n 0', reasons: ['test'] }]
+  ])
+  expect(result.map(i => i.id)).toEqual(['2 n 0', '1 n 0', '3 n 0'])
+  expect(added).toEqual(['post', 'other', 'comment'])
+})
+
+it('removes expired actions', async () => {
+  let log = createLog()
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(action.type)
+  })
+  let now = Date.now()
+  await log.add({ type: 'A' }, { reasons: ['test'], expires: now + 20 })
+  await log.add({ type: 'B' }, { reasons: ['test'], expires: now + 10 })
+  await log.add({ type: 'C' }, { reasons: ['test'], expires: now + 1e10 })
+  await log.add({ type: 'D' }, { reasons: ['test'] })
+  await log.add({ type: 'E' }, { reasons: ['test'], expires: now - 1 })
+  expect(cleaned).toEqual(['E'])
+  checkActions(log, [
+    { type: 'A' }, { type: 'B' }, { type: 'C' }, { type: 'D' }
+  ])
+
+  await delay(15)
+  expect(cleaned).toEqual(['E', 'B'])
+  await delay(15)
+  expect(cleaned).toEqual(['E', 'B', 'A'])
+  checkActions(log, [{ type: 'C' }, { type: 'D' }])
+
+  Date.now = () => now + 1e10
+  await log.removeExpired()
+  expect(cleaned).toEqual(['E', 'B', 'A', 'C'])
+  checkActions(log, [{ type: 'D' }])
+})
+
+it('removes expired actions from batch', async () => {
+  let log = createLog()
+  let now = Date.now()
+  let result = await log.addBatch([
+    [{ type: 'A' }, { reasons: ['test'], expires: now + 10 }],
+    [{ type: 'B' }, { reasons: ['test'], expires: now - 10 }]
+  ])
+  expect(result.map(i => i.added)).toEqual([1, undefined])
+  await delay(20)
+  checkActions(log, [])
+})
+
+it('adds actions to branch', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }]
+  ])
+  let branch = log.branch()
+  let events = []
+  branch.on('add', action => {
+    events.push(['add', action.type])
+  })
+  branch.on('clean', action => {
+    events.push(['clean', action.type])
+  })
+
+  let meta = await branch.add({ type: 'B' }, { reasons: ['test'] })
+  expect(meta.id).toEqual(`${ meta.time } test 0`)
+  await log.add({ type: 'C' }, { reasons: ['test'] })
+  await log.add({ type: 'D' })
+  expect(events).toEqual([
+    ['add', 'B'], ['add', 'C'], ['add', 'D'], ['clean', 'D']
+  ])
+  checkActions(log, [{ type: 'A' }, { type: 'C' }])
+
+  let actions = []
+  await branch.each((action, other) => {
+    actions.unshift([action.type, other.id === meta.id])
+  })
+  expect(actions).toEqual([['A', false], ['B', true], ['C', false]])
+
+  let result = await branch.commit()
+  expect(result).toEqual([
+    { id: meta.id, time: meta.time, added: 3, reasons: ['test'] }
+  ])
+  checkActions(log, [{ type: 'A' }, { type: 'B' }, { type: 'C' }])
+  await log.add({ type: 'E' }, { reasons: ['test'] })
+  expect(events).toHaveLength(4)
+})
+
+it('applies parent middlewares and policies on branch commit', async () => {
+  let log = createLog()
+  let calls = []
+  log.use((action, meta, next) => {
+    calls.push(action.type)
+    return next()
+  })
+  log.addReasonPolicy('last', { maxEntries: 1 })
+  let branch = log.branch()
+  await branch.add({ type: 'A' }, { reasons: ['last'] })
+  await branch.add({ type: 'B' }, { reasons: ['last'] })
+  expect(calls).toEqual([])
+  expect(branch.store.pending.created).toHaveLength(2)
+
+  await branch.commit()
+  expect(calls).toEqual(['A', 'B'])
+  checkActions(log, [{ type: 'B' }])
+})
+
+it('discards branch actions', async () => {
+  let log = createLog()
+  let branch = log.branch()
+  let cleaned = []
+  branch.on('clean', action => {
+    cleaned.push(action.type)
+  })
+  await branch.add({ type: 'A' }, { reasons: ['test'] })
+  await branch.add({ type: 'B' }, { reasons: ['test'] })
+  await branch.discard()
+  expect(cleaned).toEqual(['B', 'A'])
+  expect(branch.store.pending.created).toEqual([])
+  checkActions(log, [])
+  await log.add({ type: 'C' })
+  expect(cleaned).toEqual(['B', 'A'])
+})
+
+it('shows only actions from scope', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }]
+  ])
+  let chat = log.scope('chat')
+  expect(chat.name).toEqual('chat')
+  let events = []
+  for (let event of ['preadd', 'add', 'clean']) {
+    chat.on(event, action => {
+      events.push([event, action.type])
+    })
+  }
+  let parentEvents = []
+  log.on('add', (action, meta) => {
+    parentEvents.push([action.type, meta.scope])
+  })
+
+  let meta = await chat.add({ type: 'B' }, { reasons: ['test'] })
+  expect(meta.id).toEqual(`${ meta.time } test 0`)
+  expect(meta.scope).toEqual('chat')
+  await log.add({ type: 'C' }, { reasons: ['test'] })
+  await log.scope('news').add({ type: 'D' }, { reasons: ['test'] })
+  await chat.add({ type: 'E' })
+  expect(events).toEqual([
+    ['preadd', 'B'], ['add', 'B'], ['preadd', 'E'], ['add', 'E'], ['clean', 'E']
+  ])
+  expect(parentEvents).toEqual([
+    ['B', 'chat'], ['C', undefined], ['D', 'news'], ['E', 'chat']
+  ])
+
+  let actions = []
+  await chat.each(action => {
+    actions.push(action.type)
+  })
+  expect(actions).toEqual(['B'])
+  expect(await chat.byId('1 n 0')).toEqual([null, null])
+  expect((await chat.byId(meta.id))[0]).toEqual({ type: 'B' })
+
+  chat.unbind()
+  await chat.add({ type: 'F' }, { reasons: ['test'] })
+  expect(events).toHaveLength(5)
+})
+
+it('adds batch to scope', async () => {
+  let log = createLog()
+  let chat = log.scope('chat')
+  await chat.addBatch([
+    [{ type: 'A' }, { reasons: ['test'] }],
+    [{ type: 'B' }]
+  ])
+  expect(log.store.created.map(i => [i[0].type, i[1].scope])).toEqual([
+    ['A', 'chat']
+  ])
+})
+
+it('changes only scope actions', async () => {
+  let log = await logWith([
+    [{ type: 'A' }, { id: '1 n 0', reasons: ['test'] }]
+  ])
+  let chat = log.scope('chat')
+  await chat.add({ type: 'B' }, { id: '2 n 0', reasons: ['test'] })
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(action.type)
+  })
+
+  expect(await chat.changeMeta('1 n 0', { reasons: [] })).toBe(false)
+  expect(await chat.changeMeta('2 n 0', { status: 'ok' })).toBe(true)
+  expect(log.store.created[1][1].status).toEqual('ok')
+  await chat.removeReason('test')
+  expect(cleaned).toEqual(['B'])
+  checkActions(log, [{ type: 'A' }])
+})
+
+it('emits clean of scope actions in parent log', async () => {
+  let log = createLog()
+  let chat = log.scope('chat')
+  let cleaned = []
+  log.on('clean', action => {
+    cleaned.push(['log', action.type])
+  })
+  chat.on('clean', action => {
+    cleaned.push(['chat', action.type])
+  })
+  Date.now = () => 100
+  await log.add({ type: 'A' }, { reasons: ['test'], expires: 200 })
+  await chat.add({ type: 'B' }, { reasons: ['test'], expires: 200 })
+  await chat.add({ type: 'C' }, { reasons: ['test'] })
+  await chat.add({ type: 'D' }, { reasons: ['test'] })
+  Date.now = () => 300
+  await chat.removeExpired()
+  expect(cleaned.sort()).toEqual([['chat', 'B'], ['log', 'B']])
+  checkActions(log, [{ type: 'A' }, { type: 'C' }, { type: 'D' }])
+
+  cleaned = []
+  let snapshot = await chat.snapshot(3, { count: 2 })
+  expect(await chat.store.getSnapshot()).toEqual(snapshot)
+  expect(await log.store.getSnapshot()).toBeNull()
+  expect(cleaned.sort()).toEqual([['chat', 'C'], ['log', 'C']])
+  checkActions(log, [{ type: 'A' }, { type: 'D' }])
+})
+
+it('uses middlewares and clock of parent log', async () => {
+  let log = new Log({
+    nodeId: 'test', store: new MemoryStore(), hybridClock: true
+  })
+  let chat = log.scope('chat')
+  let calls = []
+  chat.use((action, meta, next) => {
+    calls.push(action.type)
+    return next({ ...action, checked: true })
+  })
+  chat.updateClock('9999999999999 other 5')
+  expect(chat.generateId()).toEqual('10000000000000 test 0')
+
+  await log.add({ type: 'A' }, { reasons: ['test'] })
+  await chat.add({ type: 'B' }, { reasons: ['test'] })
+  expect(calls).toEqual(['B'])
+  checkActions(log, [{ type: 'A' }, { type: 'B', checked: true }])
+})
@@ -63,3 +63,12 @@ it('returns description by error type', () => {
     'LoguxError: Wrong message format in {}'
   )
 })
+
+it('stringifies rejected error', () => {
+  let error = catchError('rejected', {
+    action: { type: 'A' },
+    error: new Error('test')
+  })
+  expect(error.toString()).toContain(
+    'LoguxError: Action A was rejected by middleware: test')
+})
@@ -3,4 +3,121 @@ let MemoryStore = require('../memory-store')
 
 eachStoreCheck((desc, creator) => {
   it(desc, creator(() => new MemoryStore()))
+  it(`${ desc } with pages`, creator(() => new MemoryStore({ pageSize: 2 })))
+})
+
+it('filters entries by criteria', async () => {
+  let store = new MemoryStore()
+  await store.add({ type: 'users/add' }, { id: '1 a 0', time: 1, reasons: [] })
+  await store.add({ type: 'posts/add' }, { id: '2 a 0', time: 2, reasons: [] })
+  await store.add({ type: 'users/rm' }, { id: '3 b 0', time: 3, reasons: [] })
+  let page = await store.get({ order: 'created', type: 'users/*', minTime: 2 })
+  expect(page.entries).toEqual([
+    [{ type: 'users/rm' }, { id: '3 b 0', time: 3, added: 3, reasons: [] }]
+  ])
+})
+
+it('keeps order for unsorted actions', async () => {
+  let store = new MemoryStore()
+  let times = [5, 1, 4, 2, 3, 3, 6]
+  for (let [i, time] of times.entries()) {
+    let meta = { id: `${ time } n ${ i }`, time, reasons: ['b'] }
+    await store.add({ type: 'A' }, meta)
+  }
+  expect(store.created.map(i => i[1].id)).toEqual([
+    '1 n 1', '2 n 3', '3 n 4', '3 n 5', '4 n 2', '5 n 0', '6 n 6'
+  ])
+  expect(await store.add({ type: 'B' }, { id: '1 n 1', time: 10 })).toBe(false)
+
+  await store.remove('3 n 5')
+  await store.changeMeta('2 n 3', { reasons: ['a'] })
+  await store.changeMeta('4 n 2', { reasons: ['a', 'b'] })
+  await store.changeMeta('6 n 6', { reasons: ['a'] })
+  await store.removeReason('a', { id: '2 n 3' }, () => {})
+  await store.removeReason('a', { }, () => {})
+  expect(store.created.map(i => i[1].id)).toEqual([
+    '1 n 1', '3 n 4', '4 n 2', '5 n 0'
+  ])
+  expect(store.added.map(i => i[1].id)).toEqual([
+    '5 n 0', '1 n 1', '4 n 2', '3 n 4'
+  ])
+  expect(await store.byId('2 n 3')).toEqual([null, null])
+  expect(store.ids.size).toEqual(4)
+})
+
+it('moves lists only after many removings', async () => {
+  let store = new MemoryStore()
+  for (let i = 1; i <= 4; i++) {
+    await store.add({ type: 'A' }, { id: `${ i } n 0`, time: i })
+  }
+  await store.remove('2 n 0')
+  expect(store.createdEntries).toHaveLength(4)
+  await store.add({ type: 'B' }, { id: '2 n 0', time: 2 })
+  await store.remove('1 n 0')
+  await store.remove('3 n 0')
+  expect(store.createdEntries).toHaveLength(2)
+  await store.remove('4 n 0')
+  expect(store.addedEntries).toHaveLength(2)
+  expect(store.added).toEqual([
+    [{ type: 'B' }, { id: '2 n 0', time: 2, added: 5 }]
+  ])
+  expect(store.createdEntries).toHaveLength(1)
+})
+
+it('returns actions by pages', async () => {
+  let store = new MemoryStore({ pageSize: 2 })
+  expect(store.pageSize).toEqual(2)
+  for (let i = 1; i <= 5; i++) {
+    await store.add({ type: 'A' }, { id: `${ i } n 0`, time: i })
+  }
+  let page = await store.get({ order: 'created' })
+  let pages = [page.entries.map(i => i[1].added)]
+  while (page.next) {
+    page = await page.next()
+    pages.push(page.entries.map(i => i[1].added))
+  }
+  expect(pages).toEqual([[4, 5], [2, 3], [1]])
+
+  let filtered = await store.get({ order: 'added', minAdded: 4 })
+  expect(filtered.entries.map(i => i[1].added)).toEqual([4, 5])
+  expect(filtered.next).toBeUndefined()
+})
+
+it('serializes and restores data', async () => {
+  let store = new MemoryStore()
+  await store.add({ type: 'A' }, { id: '3 n 0', time: 3, reasons: ['a'] })
+  await store.add({ type: 'B' }, { id: '1 n 0', time: 1, reasons: ['a'] })
+  await store.add({ type: 'C' }, { id: '2 n 0', time: 2, reasons: ['b'] })
+  await store.add({ type: 'D' }, { id: '4 n 0', time: 4, reasons: ['b'] })
+  await store.remove('4 n 0')
+  await store.setLastSynced({ sent: 2, received: 1 })
+  await store.saveSnapshot({ id: '0 n 0', time: 0, added: 0, state: 1 })
+
+  let data = store.serialize()
+  expect(data.version).toEqual(1)
+  await store.removeReason('a', { }, () => {})
+  expect(data.entries.map(i => i[1].reasons)).toEqual([['a'], ['a'], ['b']])
+
+  let restored = MemoryStore.restore(JSON.parse(JSON.stringify(data)), {
+    pageSize: 2
+  })
+  expect(restored.pageSize).toEqual(2)
+  expect(restored.created.map(i => i[0].type)).toEqual(['B', 'C', 'A'])
+  expect(restored.added.map(i => [i[0].type, i[1].added])).toEqual([
+    ['A', 1], ['B', 2], ['C', 3]
+  ])
+  expect(await restored.getLastAdded()).toEqual(4)
+  expect(await restored.getLastSynced()).toEqual({ sent: 2, received: 1 })
+  expect((await restored.getSnapshot()).state).toEqual(1)
+  expect((await restored.byId('1 n 0'))[0]).toEqual({ type: 'B' })
+  expect((await restored.stats()).reasons).toEqual({ a: 2, b: 1 })
+
+  let meta = await restored.add({ type: 'E' }, { id: '5 n 0', time: 5 })
+  expect(meta.added).toEqual(5)
+})
+
+it('checks serialized data version', () => {
+  expect(() => {
+    MemoryStore.restore({ version: 2, entries: [] })
+  }).toThrowError('Unknown MemoryStore data version 2')
 })
@@ -0,0 +1,76 @@
+let mergeLogs = require('../merge-logs')
+let TestTime = require('../test-time')
+
+async function logWith (time, entries) {
+  let log = time.nextLog()
+  for (let entry of entries) {
+    await log.add(entry[0], entry[1])
+  }
+  return log
+}
+
+it('adds missed actions', async () => {
+  let time = new TestTime()
+  let target = await logWith(time, [
+    [{ type: 'A' }, { id: '1 a 0', reasons: ['test'] }],
+    [{ type: 'C' }, { id: '3 a 0', reasons: ['test'] }]
+  ])
+  let source = await logWith(time, [
+    [{ type: 'D' }, { id: '4 b 0', reasons: ['test'] }],
+    [{ type: 'A' }, { id: '1 a 0', reasons: ['test'] }],
+    [{ type: 'B' }, { id: '2 b 0', time: 10, reasons: ['other'] }]
+  ])
+
+  let report = await mergeLogs(target, source)
+  expect(report).toEqual({ added: ['4 b 0', '2 b 0'], skipped: ['1 a 0'] })
+  expect(target.entries()).toEqual([
+    [{ type: 'A' }, { id: '1 a 0', time: 1, added: 1, reasons: ['test'] }],
+    [{ type: 'C' }, { id: '3 a 0', time: 3, added: 2, reasons: ['test'] }],
+    [{ type: 'D' }, { id: '4 b 0', time: 4, added: 3, reasons: ['test'] }],
+    [{ type: 'B' }, { id: '2 b 0', time: 10, added: 4, reasons: ['other'] }]
+  ])
+  expect(source.entries()[2][1].added).toEqual(3)
+})
+
+it('filters and maps actions', async () => {
+  let time = new TestTime()
+  let target = time.nextLog()
+  let source = await logWith(time, [
+    [{ type: 'A' }, { id: '1 b 0', reasons: ['test'] }],
+    [{ type: 'B' }, { id: '2 b 0', reasons: ['test'] }]
+  ])
+  let calls = []
+  let report = await mergeLogs(target, source, {
+    async map (action, meta) {
+      calls.push(['map', action.type])
+      return [{ type: action.type + '1' }, { ...meta, reasons: ['merged'] }]
+    },
+    async filter (action) {
+      calls.push(['filter', action.type])
+      return action.type !== 'B1'
+    }
+  })
+  expect(calls).toEqual([
+    ['map', 'A'], ['filter', 'A1'], ['map', 'B'], ['filter', 'B1']
+  ])
+  expect(report).toEqual({ added: ['1 b 0'], skipped: ['2 b 0'] })
+  expect(target.entries()).toEqual([
+    [{ type: 'A1' }, { id: '1 b 0', time: 1, added: 1, reasons: ['merged'] }]
+  ])
+})
+
+it('rejects on filter error', async () => {
+  let time = new TestTime()
+  let target = time.nextLog()
+  let source = await logWith(time, [
+    [{ type: 'A' }, { reasons: ['test'] }]
+  ])
+  let error = new Error('test')
+  let merging = mergeLogs(target, source, {
+    async filter () {
+      throw error
+    }
+  })
+  await expect(merging).rejects.toBe(error)
+  expect(target.entries()).toEqual([])
+})
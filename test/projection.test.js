@@ -0,0 +1,193 @@
+let Projection = require('../projection')
+let TestTime = require('../test-time')
+
+function reducer (state, action) {
+  return state.concat([action.type])
+}
+
+function types (entries) {
+  return entries.map(i => i[0].type)
+}
+
+let projection
+
+afterEach(() => {
+  if (projection) projection.destroy()
+  projection = undefined
+})
+
+it('requires reducer', () => {
+  let log = TestTime.getLog()
+  expect(() => {
+    new Projection(log)
+  }).toThrowError(/reducer/)
+  expect(() => {
+    new Projection(log, { initial: [] })
+  }).toThrowError(/reducer/)
+})
+
+it('builds state from log', async () => {
+  let log = TestTime.getLog()
+  await log.add({ type: 'A' }, { reasons: ['test'] })
+  await log.add({ type: 'B' }, { reasons: ['test'] })
+
+  projection = new Projection(log, { reducer, initial: [] })
+  let changes = []
+  projection.on('change', state => {
+    changes.push(state)
+  })
+  expect(projection.initialized).toBe(false)
+  expect(projection.state).toEqual([])
+
+  await log.add({ type: 'C' }, { reasons: ['test'] })
+  await projection.initializing
+  expect(projection.initialized).toBe(true)
+  expect(projection.state).toEqual(['A', 'B', 'C'])
+  expect(changes).toEqual([['A', 'B', 'C']])
+
+  await log.add({ type: 'D' })
+  expect(projection.state).toEqual(['A', 'B', 'C', 'D'])
+  expect(changes).toHaveLength(2)
+})
+
+it('does not emit change on empty log', async () => {
+  let log = TestTime.getLog()
+  projection = new Projection(log, { reducer, initial: [] })
+  let changes = 0
+  projection.on('change', () => {
+    changes += 1
+  })
+  await projection.initializing
+  expect(changes).toEqual(0)
+})
+
+it('ignores actions with same ID', async () => {
+  let log = TestTime.getLog()
+  projection = new Projection(log, { reducer, initial: [] })
+  await projection.initializing
+  let changes = 0
+  projection.on('change', () => {
+    changes += 1
+  })
+  await log.add({ type: 'A' }, { id: '1 n 0' })
+  await log.add({ type: 'B' }, { id: '1 n 0' })
+  expect(projection.state).toEqual(['A'])
+  expect(changes).toEqual(1)
+})
+
+it('replays actions from checkpoint on older action', async () => {
+  let log = TestTime.getLog()
+  let calls = []
+  projection = new Projection(log, {
+    initial: [],
+    checkpoint: 2,
+    reducer (state, action) {
+      calls.push(action.type)
+      return reducer(state, action)
+    }
+  })
+  await projection.initializing
+
+  await log.add({ type: '1' }, { id: '1 n 0' })
+  await log.add({ type: '2' }, { id: '2 n 0' })
+  await log.add({ type: '4' }, { id: '4 n 0' })
+  await log.add({ type: '6' }, { id: '6 n 0' })
+  await log.add({ type: '7' }, { id: '7 n 0' })
+  expect(projection.state).toEqual(['1', '2', '4', '6', '7'])
+
+  calls = []
+  await log.add({ type: '5' }, { id: '5 n 0' })
+  expect(projection.state).toEqual(['1', '2', '4', '5', '6', '7'])
+  expect(calls).toEqual(['4', '5', '6', '7'])
+
+  calls = []
+  await log.add({ type: '3' }, { id: '3 n 0' })
+  expect(projection.state).toEqual(['1', '2', '3', '4', '5', '6', '7'])
+  expect(calls).toEqual(['3', '4', '5', '6', '7'])
+
+  calls = []
+  await log.add({ type: '0' }, { id: '0 n 0' })
+  expect(projection.state).toEqual(['0', '1', '2', '3', '4', '5', '6', '7'])
+  expect(calls).toEqual(['0', '1', '2', '3', '4', '5', '6', '7'])
+})
+
+it('replaces state by snapshot', async () => {
+  let log = TestTime.getLog()
+  projection = new Projection(log, { reducer, initial: [] })
+  await projection.initializing
+  await log.add({ type: 'logux/snapshot', state: ['A', 'B'] }, { id: '2 n 0' })
+  await log.add({ type: 'C' }, { id: '3 n 0' })
+  expect(projection.state).toEqual(['A', 'B', 'C'])
+})
+
+it('reverts undone actions', async () => {
+  let log = TestTime.getLog()
+  projection = new Projection(log, { reducer, initial: [], checkpoint: 2 })
+  await projection.initializing
+  await log.add({ type: 'A' }, { id: '1 n 0' })
+  await log.add({ type: 'B' }, { id: '2 n 0' })
+  await log.add({ type: 'C' }, { id: '3 n 0' })
+  let changes = []
+  projection.on('change', state => {
+    changes.push(state)
+  })
+
+  await log.add({ type: 'logux/undo', id: '2 n 0' }, { id: '4 n 0' })
+  expect(projection.state).toEqual(['A', 'C'])
+  await log.add({ type: 'logux/undo', id: '5 n 0' }, { id: '6 n 0' })
+  await log.add({ type: 'D' }, { id: '5 n 0' })
+  expect(projection.state).toEqual(['A', 'C'])
+  expect(changes).toEqual([['A', 'C']])
+})
+
+it('keeps only last checkpoints', async () => {
+  let log = TestTime.getLog()
+  projection = new Projection(log, {
+    reducer, initial: [], checkpoint: 2, keep: 2
+  })
+  await log.add({ type: '1' }, { id: '1 n 0' })
+  await log.add({ type: '2' }, { id: '2 n 0' })
+  await log.add({ type: '3' }, { id: '3 n 0' })
+  await log.add({ type: '4' }, { id: '4 n 0' })
+  await log.add({ type: '5' }, { id: '5 n 0' })
+  await log.add({ type: '6' }, { id: '6 n 0' })
+  await log.add({ type: '7' }, { id: '7 n 0' })
+  await projection.initializing
+  expect(types(projection.history)).toEqual(['3', '4', '5', '6', '7'])
+  expect(projection.checkpoints.map(i => i.index)).toEqual([1, 3])
+
+  await log.add({ type: '8' }, { id: '8 n 0' })
+  await log.add({ type: '9' }, { id: '9 n 0' })
+  await log.add({ type: '10' }, { id: '10 n 0' })
+  expect(types(projection.history)).toEqual(['7', '8', '9', '10'])
+  expect(projection.checkpoints.map(i => i.index)).toEqual([1, 3])
+
+  projection.process({ type: '9' }, { id: '9 n 0', time: 9 })
+  await log.add({ type: 'logux/undo', id: '8 n 0' }, { id: '11 n 0' })
+  expect(projection.state).toEqual([
+    '1', '2', '3', '4', '5', '6', '7', '9', '10'
+  ])
+
+  await log.add({ type: '0' }, { id: '0 n 0' })
+  expect(projection.state).toEqual([
+    '1', '2', '3', '4', '5', '6', '0', '7', '9', '10'
+  ])
+})
+
+it('uses created time for order', async () => {
+  let log = TestTime.getLog()
+  projection = new Projection(log, { reducer, initial: [] })
+  await projection.initializing
+  await log.add({ type: 'B' }, { id: '1 b 0', time: 2 })
+  await log.add({ type: 'A' }, { id: '2 a 0', time: 1 })
+  expect(projection.state).toEqual(['A', 'B'])
+})
+
+it('stops listening log on destroy', async () => {
+  let log = TestTime.getLog()
+  projection = new Projection(log, { reducer, initial: [] })
+  await projection.initializing
+  projection.destroy()
+  await log.add({ type: 'A' })
+  expect(projection.state).toEqual([])
+})
@@ -0,0 +1,120 @@
+let ScopedStore = require('../scoped-store')
+let MemoryStore = require('../memory-store')
+
+async function createStore () {
+  let parent = new MemoryStore()
+  await parent.add({ type: 'A' }, { id: '1 n 0', time: 1, reasons: ['a'] })
+  let store = new ScopedStore(parent, 'chat')
+  await store.add({ type: 'B' }, { id: '2 n 0', time: 2, reasons: ['a'] })
+  await store.add({ type: 'C' }, { id: '3 n 0', time: 3, reasons: ['a'] })
+  await store.add({ type: 'D' }, { id: '4 n 0', time: 4, reasons: ['a', 'b'] })
+  return store
+}
+
+function types (entries) {
+  return entries.map(i => i[0].type)
+}
+
+it('keeps actions in parent store', async () => {
+  let store = await createStore()
+  expect(types(store.parent.created)).toEqual(['A', 'B', 'C', 'D'])
+  expect(store.parent.created[1][1]).toEqual({
+    id: '2 n 0', time: 2, added: 2, reasons: ['a'], scope: 'chat'
+  })
+  let page = await store.get({ order: 'added' })
+  expect(types(page.entries)).toEqual(['B', 'C', 'D'])
+  expect(await store.getLastAdded()).toEqual(4)
+})
+
+it('filters parent pages', async () => {
+  let store = await createStore()
+  store.parent.get = async function (opts) {
+    let page = await MemoryStore.prototype.get.call(this, opts)
+    return {
+      entries: page.entries.slice(2),
+      next: async () => ({ entries: page.entries.slice(0, 2) })
+    }
+  }
+  let page = await store.get({ order: 'created' })
+  expect(types(page.entries)).toEqual(['C', 'D'])
+  let next = await page.next()
+  expect(types(next.entries)).toEqual(['B'])
+  expect(next.next).toBeUndefined()
+})
+
+it('changes only scope actions', async () => {
+  let store = await createStore()
+  expect(await store.byId('1 n 0')).toEqual([null, null])
+  expect(await store.byId('5 n 0')).toEqual([null, null])
+  expect(await store.changeMeta('1 n 0', { a: 1 })).toBe(false)
+  expect(await store.changeMeta('2 n 0', { a: 1 })).toBe(true)
+  expect(store.parent.created[1][1].a).toEqual(1)
+  expect(await store.remove('1 n 0')).toBe(false)
+  expect(types([await store.remove('2 n 0')])).toEqual(['B'])
+  expect(types(store.parent.created)).toEqual(['A', 'C', 'D'])
+})
+
+it('removes reasons only in scope', async () => {
+  let store = await createStore()
+  let removed = []
+  function callback (action) {
+    removed.push(action.type)
+  }
+  await store.removeReason('a', { id: '1 n 0' }, callback)
+  await store.removeReason('a', { id: '2 n 0' }, callback)
+  expect(removed).toEqual(['B'])
+  let last = { id: '4 n 0', time: 4 }
+  await store.removeReason('b', { olderThan: last }, callback)
+  await store.removeReason('a', { maxAdded: 3 }, callback)
+  await store.removeReason('a', { minAdded: 5 }, callback)
+  await store.removeReason('a', { youngerThan: last }, callback)
+  expect(removed).toEqual(['B', 'C'])
+  await store.removeReason('a', { }, callback)
+  expect(types(store.parent.created)).toEqual(['A', 'D'])
+  expect(store.parent.created[1][1].reasons).toEqual(['b'])
+})
+
+it('cleans only scope actions', async () => {
+  let store = await createStore()
+  await store.setLastSynced({ sent: 2, received: 1 })
+  expect(await store.getLastSynced()).toEqual({ sent: 2, received: 1 })
+  expect(await store.parent.getLastSynced()).toEqual({ sent: 0, received: 0 })
+  await store.setLastSynced({ })
+  expect(await store.getLastSynced()).toEqual({ sent: 2, received: 1 })
+  await store.clean()
+  expect(types(store.parent.created)).toEqual(['A'])
+  expect(await store.getLastSynced()).toEqual({ sent: 0, received: 0 })
+})
+
+it('keeps scope data in parent store', async () => {
+  let store = await createStore()
+  await store.setLastSynced({ sent: 2, received: 1 })
+  await store.saveSnapshot({ id: '3 n 0', time: 3, added: 3, state: 1 })
+  expect(await store.parent.getScopeData('chat')).toEqual({
+    sent: 2,
+    received: 1,
+    snapshot: { id: '3 n 0', time: 3, added: 3, state: 1 }
+  })
+
+  let restored = new ScopedStore(store.parent, 'chat')
+  expect(await restored.getLastSynced()).toEqual({ sent: 2, received: 1 })
+  expect((await restored.getSnapshot()).state).toEqual(1)
+  let other = new ScopedStore(store.parent, 'news')
+  expect(await other.getLastSynced()).toEqual({ sent: 0, received: 0 })
+  expect(await other.getSnapshot()).toBeNull()
+
+  await restored.clean()
+  expect(await store.getSnapshot()).toBeNull()
+})
+
+it('keeps scope data in memory without parent support', async () => {
+  let store = await createStore()
+  store.parent.getScopeData = undefined
+  store.parent.setScopeData = undefined
+  await store.setLastSynced({ received: 3 })
+  await store.saveSnapshot({ id: '3 n 0', time: 3, added: 3, state: 1 })
+  expect(await store.getLastSynced()).toEqual({ sent: 0, received: 3 })
+  expect((await store.getSnapshot()).state).toEqual(1)
+  let other = new ScopedStore(store.parent, 'chat')
+  expect(await other.getLastSynced()).toEqual({ sent: 0, received: 0 })
+})
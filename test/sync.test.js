@@ -2,6 +2,7 @@ let delay = require('nanodelay')
 
 let ClientNode = require('../client-node')
 let ServerNode = require('../server-node')
+let Projection = require('../projection')
 let TestTime = require('../test-time')
 let TestPair = require('../test-pair')
 
@@ -337,6 +338,38 @@ it('reports errors during input map', async () => {
   expect(catched).toEqual([error])
 })
 
+it('ignores actions rejected by middleware', async () => {
+  let test = await createTest()
+  let catched = []
+  test.rightNode.catch(e => {
+    catched.push(e)
+  })
+  test.rightNode.log.use((action, meta, next) => {
+    if (action.type !== 'bad') next()
+  })
+  test.leftNode.log.add({ type: 'bad' })
+  test.leftNode.log.add({ type: 'good' })
+  await delay(50)
+  expect(test.rightNode.log.actions()).toEqual([{ type: 'good' }])
+  expect(test.rightNode.lastReceived).toEqual(2)
+  expect(catched).toEqual([])
+})
+
+it('reports errors during adding', async () => {
+  let error = new Error('test')
+  let catched = []
+  let test = await createTest()
+  test.rightNode.catch(e => {
+    catched.push(e)
+  })
+  test.rightNode.log.store.add = async () => {
+    throw error
+  }
+  test.leftNode.log.add({ type: 'a' })
+  await delay(50)
+  expect(catched).toEqual([error])
+})
+
 it('compresses time', async () => {
   let test = await createTest()
   test.leftNode.baseTime = 100
@@ -529,3 +562,132 @@ it('synchronizes actions on connect', async () => {
   expect(test.leftNode.log.actions()).toEqual(test.rightNode.log.actions())
   expect(added).toEqual(['a', 'b', 'c', 'd', 'e', 'f'])
 })
+
+it('sends snapshot to clients with older synced value', async () => {
+  let test = createPair()
+  let log = test.rightNode.log
+  await Promise.all([
+    log.add({ type: 'a' }),
+    log.add({ type: 'b' }),
+    log.add({ type: 'c' })
+  ])
+  await log.snapshot(2, ['a', 'b'])
+  test.left.connect()
+  await test.leftNode.waitFor('synchronized')
+  await delay(10)
+  expect(test.leftNode.log.actions()).toEqual([
+    { type: 'logux/snapshot', state: ['a', 'b'] },
+    { type: 'c' }
+  ])
+  expect(test.leftNode.lastReceived).toBe(3)
+})
+
+it('does not send snapshot to synchronized clients', async () => {
+  let test = await createTest()
+  let log = test.rightNode.log
+  log.add({ type: 'a' })
+  await test.wait('left')
+  await log.snapshot(1, ['a'])
+  test.left.disconnect()
+  await test.wait('right')
+  await log.add({ type: 'b' })
+  await test.left.connect()
+  test.rightNode = new ServerNode('server2', log, test.right)
+  await test.leftNode.waitFor('synchronized')
+  await delay(10)
+  expect(test.leftNode.log.actions()).toEqual([{ type: 'a' }, { type: 'b' }])
+})
+
+it('synchronizes undo', async () => {
+  let test = await createTest()
+  let projection = new Projection(test.leftNode.log, {
+    initial: [],
+    reducer: (state, action) => state.concat([action.type])
+  })
+  let undone = []
+  test.leftNode.log.on('undo', (action, meta, undo, undoMeta) => {
+    undone.push([action.type, undoMeta.reasons])
+  })
+  let meta = await test.leftNode.log.add({ type: 'a' })
+  await test.wait('left')
+  expect(projection.state).toEqual(['a'])
+
+  test.rightNode.log.add({ type: 'logux/undo', id: meta.id })
+  await test.wait('right')
+  expect(test.leftNode.log.actions()).toEqual([
+    { type: 'logux/undo', id: meta.id }
+  ])
+  expect(undone).toEqual([['a', ['t']]])
+  expect(projection.state).toEqual([])
+  projection.destroy()
+})
+
+it('synchronizes undo before undone action', async () => {
+  let test = await createTest()
+  test.rightNode.log.add({ type: 'logux/undo', id: '1 test1 0' }, {
+    id: '2 test2 0'
+  })
+  await test.wait('right')
+  test.rightNode.log.add({ type: 'a' }, { id: '1 test1 0' })
+  await test.wait('right')
+  expect(test.leftNode.log.actions()).toEqual([
+    { type: 'logux/undo', id: '1 test1 0' }
+  ])
+  expect(test.rightNode.log.actions()).toEqual([
+    { type: 'logux/undo', id: '1 test1 0' }
+  ])
+})
+
+it('moves hybrid clock by received actions', async () => {
+  let test = await createTest()
+  test.leftNode.log.hybridClock = true
+  test.rightNode.log.add({ type: 'a' }, { id: '100 other 2' })
+  await test.wait('right')
+  expect(test.leftNode.log.lastTime).toEqual(101)
+})
+
+it('fixes expires time', async () => {
+  let test = await createTest()
+  test.leftNode.timeFix = 10
+  let expires = Date.now() + 100000
+  await Promise.all([
+    test.leftNode.log.add({ type: 'a' }, { id: '1 test1 0', expires }),
+    test.rightNode.log.add({ type: 'b' }, { id: '2 test2 0', expires })
+  ])
+  await test.leftNode.waitFor('synchronized')
+  expect(test.leftNode.log.entries().map(i => i[1].expires)).toEqual([
+    expires, expires + 10
+  ])
+  expect(test.rightNode.log.entries().map(i => i[1].expires)).toEqual([
+    expires - 10, expires
+  ])
+})
+
+it('drops expired actions', async () => {
+  let test = await createTest()
+  let now = Date.now() + 100000
+  test.leftNode.timeFix = -10
+  test.leftNode.now = () => now
+  test.rightNode.sendSync(3, [
+    [{ type: 'c' }, { id: '3 test2 0', time: 3, added: 3, expires: now + 11 }],
+    [{ type: 'b' }, { id: '2 test2 0', time: 2, added: 2, expires: now + 10 }],
+    [{ type: 'a' }, { id: '1 test2 0', time: 1, added: 1 }]
+  ])
+  await test.wait('right')
+  expect(test.leftNode.log.actions()).toEqual([{ type: 'a' }, { type: 'c' }])
+  expect(test.leftNode.lastReceived).toBe(3)
+})
+
+it('does not send expired actions on connection', async () => {
+  let test = createPair()
+  let log = test.rightNode.log
+  let expires = Date.now() + 100000
+  await log.add({ type: 'a' }, { expires: expires - 1 })
+  await log.add({ type: 'b' }, { expires: expires + 1 })
+  await log.add({ type: 'c' })
+  test.rightNode.now = () => expires
+  test.left.connect()
+  await test.leftNode.waitFor('synchronized')
+  await delay(10)
+  expect(test.leftNode.log.actions()).toEqual([{ type: 'b' }, { type: 'c' }])
+})
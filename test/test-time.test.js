@@ -66,3 +66,15 @@ it('creates log with test shortcuts', () => {
     [{ type: 'A' }, { id: '1 test1 0', time: 1, added: 1, reasons: ['t'] }]
   ])
 })
+
+it('keeps async iterator in test log', async () => {
+  let log = TestTime.getLog()
+  await log.add({ type: 'A' }, { reasons: ['t'] })
+  let opts = { type: 'A' }
+  let actions = []
+  for await (let [action] of log.iterate(opts)) {
+    actions.push(action)
+  }
+  expect(actions).toEqual([{ type: 'A' }])
+  expect(opts).toEqual({ type: 'A' })
+})